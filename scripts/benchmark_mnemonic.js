@@ -0,0 +1,121 @@
+'use strict';
+
+// Compares the Buffer and index-map internals of Mnemonic with the previous
+// string-based implementation, kept below as the reference. Every output is
+// checked for equality before anything is timed.
+//
+//   node scripts/benchmark_mnemonic.js [iterations]
+
+const assert = require('assert');
+const crypto = require('crypto');
+const unorm = require('unorm');
+const Mnemonic = require('../src/mnemonic');
+
+const Words = Mnemonic.Words;
+const ITERATIONS = parseInt(process.argv[2], 10) || 2000;
+
+// Previous implementation, using binary strings and wordlist.indexOf
+
+function toBits(buffer) {
+    return buffer.toString('hex')
+        .match(/.{1,2}/g)
+        .map(byte => parseInt(byte, 16).toString(2).padStart(8, '0'))
+        .join('');
+}
+
+function legacyChecksum(entropy) {
+    const hash = crypto.createHash('sha256').update(entropy).digest();
+    return toBits(hash).slice(0, entropy.length * 8 / 32);
+}
+
+function legacyEntropy2mnemonic(entropy, wordlist) {
+    const chunks = (toBits(entropy) + legacyChecksum(entropy)).match(/(.{1,11})/g);
+    return Mnemonic._joinWords(chunks.map(binary => wordlist[parseInt(binary, 2)]), wordlist);
+}
+
+function legacyMnemonic2entropy(mnemonic, wordlist) {
+    let bin = '';
+    for (const word of unorm.nfkd(mnemonic).split(' ')) {
+        bin += ('00000000000' + wordlist.indexOf(word).toString(2)).slice(-11);
+    }
+    const entropyBits = bin.slice(0, bin.length - bin.length / 33);
+    const buf = Buffer.alloc(entropyBits.length / 8);
+    for (let i = 0; i < buf.length; i++) {
+        buf.writeUInt8(parseInt(entropyBits.slice(i * 8, (i + 1) * 8), 2), i);
+    }
+    return buf;
+}
+
+function legacyIsValid(mnemonic, wordlist) {
+    mnemonic = unorm.nfkd(mnemonic);
+    if (!wordlist) {
+        return Object.keys(Words)
+            .map(key => Words[key])
+            .filter(list => mnemonic.split(' ').every(word => list.indexOf(word) >= 0))
+            .some(list => legacyIsValid(mnemonic, list));
+    }
+    const words = mnemonic.split(' ');
+    if (!Mnemonic._isValidWordCount(words.length)) return false;
+    let bin = '';
+    for (const word of words) {
+        const ind = wordlist.indexOf(word);
+        if (ind < 0) return false;
+        bin += ('00000000000' + ind.toString(2)).slice(-11);
+    }
+    const cs = bin.length / 33;
+    const buf = Buffer.alloc((bin.length - cs) / 8);
+    for (let i = 0; i < buf.length; i++) {
+        buf.writeUInt8(parseInt(bin.slice(i * 8, (i + 1) * 8), 2), i);
+    }
+    return legacyChecksum(buf) === bin.slice(-cs);
+}
+
+// Inputs: random entropy of every length in every shipped list, plus
+// phrases with a replaced word that mostly fail the checksum
+const names = Object.keys(Words);
+const cases = [];
+for (let i = 0; i < 200; i++) {
+    const wordlist = Words[names[i % names.length]];
+    const length = Mnemonic.ENTROPY_LENGTHS[i % Mnemonic.ENTROPY_LENGTHS.length];
+    const entropy = crypto.randomBytes(length);
+    const phrase = legacyEntropy2mnemonic(entropy, wordlist);
+    const words = unorm.nfkd(phrase).split(' ');
+    words[i % words.length] = wordlist[(i * 7) % 2048];
+    cases.push({ wordlist, entropy, phrase, corrupted: words.join(' ') });
+}
+
+for (const { wordlist, entropy, phrase, corrupted } of cases) {
+    assert.strictEqual(Mnemonic._entropy2mnemonic(entropy, wordlist), phrase);
+    assert.strictEqual(Mnemonic._entropyChecksum(entropy), legacyChecksum(entropy));
+    assert(Mnemonic._mnemonic2entropy(phrase, wordlist).equals(legacyMnemonic2entropy(phrase, wordlist)));
+    for (const input of [phrase, corrupted]) {
+        assert.strictEqual(Mnemonic.isValid(input, wordlist), legacyIsValid(input, wordlist));
+        assert.strictEqual(Mnemonic.isValid(input), legacyIsValid(input));
+    }
+}
+console.log(`Outputs identical for ${cases.length} cases in ${names.length} wordlists\n`);
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < ITERATIONS; i++) {
+        fn(cases[i % cases.length]);
+    }
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+const benchmarks = [
+    ['isValid with wordlist', c => legacyIsValid(c.phrase, c.wordlist), c => Mnemonic.isValid(c.phrase, c.wordlist)],
+    ['isValid with detection', c => legacyIsValid(c.corrupted), c => Mnemonic.isValid(c.corrupted)],
+    ['entropy to mnemonic', c => legacyEntropy2mnemonic(c.entropy, c.wordlist), c => Mnemonic._entropy2mnemonic(c.entropy, c.wordlist)],
+    ['mnemonic to entropy', c => legacyMnemonic2entropy(c.phrase, c.wordlist), c => Mnemonic._mnemonic2entropy(c.phrase, c.wordlist)]
+];
+
+console.log(`${ITERATIONS} iterations each`);
+for (const [name, legacy, current] of benchmarks) {
+    // Warm up both, including the index map cache
+    time(legacy);
+    time(current);
+    const before = time(legacy);
+    const after = time(current);
+    console.log(`${name.padEnd(24)} ${before.toFixed(1).padStart(9)} ms -> ${after.toFixed(1).padStart(8)} ms  (${(before / after).toFixed(1)}x)`);
+}
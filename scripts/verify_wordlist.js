@@ -1,27 +1,22 @@
 'use strict';
 
-// Import the raw wordlist without validation
-const wordlist = require('../src/mnemonic/words/english.js').slice();
+const Mnemonic = require('../src/mnemonic');
 
-console.log('Total words:', wordlist.length);
+// Lists whose words must be unique by their first four characters
+const UNIQUE_PREFIXES = ['ENGLISH', 'CZECH', 'ITALIAN', 'PORTUGUESE'];
 
-const invalidWords = wordlist.filter(word => word.length < 4 || word.length > 8);
-console.log('\nWords with invalid length (should be 4-8 characters):');
-invalidWords.forEach(word => console.log(`${word} (${word.length} chars)`));
-
-// Check for duplicate prefixes
-const prefixes = new Set();
-const duplicatePrefixes = [];
-wordlist.forEach(word => {
-    const prefix = word.slice(0, 4);
-    if (prefixes.has(prefix)) {
-        duplicatePrefixes.push({ word, prefix });
+let failed = false;
+Object.keys(Mnemonic.Words).forEach(name => {
+    try {
+        Mnemonic.validateWordlist(Mnemonic.Words[name], {
+            uniquePrefixes: UNIQUE_PREFIXES.includes(name)
+        });
+        console.log(`${name}: ok`);
+    } catch (e) {
+        if (!(e instanceof Mnemonic.errors.InvalidWordlistError)) throw e;
+        console.error(`${name}: ${e.message}`);
+        failed = true;
     }
-    prefixes.add(prefix);
 });
 
-if (duplicatePrefixes.length > 0) {
-    console.log('\nWords with duplicate prefixes:');
-    duplicatePrefixes.forEach(({ word, prefix }) => 
-        console.log(`${word} (prefix: ${prefix})`));
-}
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,153 @@
+'use strict'
+
+const util = require('util')
+const bsv = require('bsv')
+
+// bsv only accepts its own bn.js instances
+const BN = bsv.crypto.BN
+
+// Injectable randomness
+const Random = require('./random')
+
+// Renderings that leave out key material. bsv prints private keys in full
+// from inspect() and toJSON(); toObject(), toString() and toWIF() still
+// return the secret for deliberate use.
+const redacted = {
+  toJSON() {
+    return { type: this.constructor.name, network: this.network.name, redacted: true }
+  },
+  inspect() {
+    return `<${this.constructor.name}: redacted, network: ${this.network.name}>`
+  },
+  [util.inspect.custom]() {
+    return this.inspect()
+  }
+}
+
+/**
+ * Make a bsv private key or HD private key render redacted
+ * Keys created by this library are redacted already; use this for keys
+ * built directly with bsv. The key also becomes an instance of this
+ * module's PrivateKey or HDPrivateKey, and stays an instance of bsv's.
+ * @param {bsv.PrivateKey|bsv.HDPrivateKey} key - Key to redact in place
+ * @returns {PrivateKey|HDPrivateKey} the same key
+ */
+function redact(key) {
+  // bsv builds its own instances, also inside factories and derivation
+  if (key instanceof bsv.HDPrivateKey && !(key instanceof HDPrivateKey)) {
+    Object.setPrototypeOf(key, HDPrivateKey.prototype)
+  } else if (key instanceof bsv.PrivateKey && !(key instanceof PrivateKey)) {
+    Object.setPrototypeOf(key, PrivateKey.prototype)
+  }
+  for (const name of Reflect.ownKeys(redacted)) {
+    Object.defineProperty(key, name, { value: redacted[name], configurable: true, writable: true })
+  }
+  if (key instanceof bsv.HDPrivateKey) {
+    redact(key.privateKey)
+    // Child keys are redacted too
+    for (const name of ['deriveChild', 'deriveNonCompliantChild']) {
+      const derive = bsv.HDPrivateKey.prototype[name]
+      Object.defineProperty(key, name, {
+        value: function (...args) { return redact(derive.apply(this, args)) },
+        configurable: true,
+        writable: true
+      })
+    }
+  }
+  return key
+}
+
+/**
+ * bsv.PrivateKey drawing new keys from Random instead of bsv's own generator.
+ * Keys built from existing data behave as in bsv, except that they render
+ * redacted under util.inspect and JSON.stringify.
+ */
+class PrivateKey extends bsv.PrivateKey {
+  /**
+   * @param {*} data - As for bsv.PrivateKey; omitted, a network name or a Network for a new key
+   * @param {Network|string=} network - Network of the key
+   */
+  constructor(data, network) {
+    if (data === undefined || data === null) {
+      data = PrivateKey._getRandomBN()
+    } else if (PrivateKey._isNetwork(data)) {
+      network = network || data
+      data = PrivateKey._getRandomBN()
+    }
+    super(data, network)
+    return redact(this)
+  }
+
+  /**
+   * @param {Network|string=} network - Network of the key
+   * @returns {PrivateKey}
+   */
+  static fromRandom(network) {
+    return new PrivateKey(null, network)
+  }
+
+  /**
+   * Whether data names a network rather than holding key material
+   * Values such as BNs are not looked up, as bsv also maps version bytes.
+   * @param {*} data - Constructor argument
+   * @returns {boolean}
+   * @private
+   */
+  static _isNetwork(data) {
+    if (typeof data === 'string') return Boolean(bsv.Networks.get(data))
+    return bsv.Networks.get(data) === data
+  }
+
+  /**
+   * Random scalar in [1, n - 1], by rejection sampling like bsv
+   * @returns {BN}
+   * @private
+   */
+  static _getRandomBN() {
+    const n = bsv.crypto.Point.getN()
+    for (;;) {
+      const bn = BN.fromBuffer(Random.getRandomBuffer(32))
+      if (!bn.isZero() && bn.lt(n)) return bn
+    }
+  }
+}
+
+/**
+ * bsv.HDPrivateKey drawing new master seeds from Random, rendered redacted
+ * like PrivateKey
+ */
+class HDPrivateKey extends bsv.HDPrivateKey {
+  /**
+   * @param {*} arg - As for bsv.HDPrivateKey
+   */
+  constructor(arg) {
+    super(arg)
+    // bsv may hand back another instance, such as arg itself
+    return redact(this)
+  }
+
+  /**
+   * @param {Network|string=} network - Network of the key
+   * @returns {HDPrivateKey}
+   */
+  static fromRandom(network) {
+    return redact(bsv.HDPrivateKey.fromSeed(Random.getRandomBuffer(64), network))
+  }
+
+  // Called by the bsv constructor when no key data is given
+  _generateRandomly(network) {
+    return HDPrivateKey.fromRandom(network)
+  }
+}
+
+// bsv's own factories, such as fromWIF and fromSeed, build bsv keys; redact
+// turns them into instances of the subclasses
+for (const [Key, Base] of [[PrivateKey, bsv.PrivateKey], [HDPrivateKey, bsv.HDPrivateKey]]) {
+  for (const name of Object.keys(Base)) {
+    if (/^from/.test(name) && !Object.prototype.hasOwnProperty.call(Key, name)) {
+      Key[name] = (...args) => redact(Base[name](...args))
+    }
+  }
+}
+
+module.exports = { PrivateKey, HDPrivateKey, redact }
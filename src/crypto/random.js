@@ -0,0 +1,170 @@
+'use strict'
+
+const { Buffer } = require('buffer')
+const { randomBytes, createHash } = require('crypto')
+const bsv = require('bsv')
+
+class TestModeError extends Error {
+  constructor(message) {
+    super(message || 'DeterministicRandom only runs in test mode; call Random.setTestMode(true) first')
+    this.name = 'TestModeError'
+  }
+}
+
+// Module state: the installed source and whether test mode is on
+let source = null
+let testMode = false
+
+/**
+ * Randomness used for mnemonics, SLIP-39 shares, encryption salts and new keys.
+ *
+ * Defaults to crypto.randomBytes. A source is a function returning `size`
+ * random bytes, or an object with such a getRandomBuffer method, so runtimes
+ * without Node's crypto can plug in crypto.getRandomValues. The method name
+ * matches bsv.crypto.Random, which this class replaces in the secure fork.
+ */
+class Random {
+  /**
+   * @param {number} size - Number of bytes
+   * @returns {Buffer}
+   * @throws {Error} if the source returns the wrong number of bytes
+   */
+  static getRandomBuffer(size) {
+    if (!Number.isInteger(size) || size < 0) {
+      throw new TypeError('Size must be a non-negative integer')
+    }
+    if (source === null) {
+      return randomBytes(size)
+    }
+    const bytes = typeof source === 'function' ? source(size) : source.getRandomBuffer(size)
+    if (!(bytes instanceof Uint8Array) || bytes.length !== size) {
+      throw new Error(`Random source must return ${size} bytes`)
+    }
+    return Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length)
+  }
+
+  /**
+   * bsv's Node generator, kept so this class can stand in for bsv.crypto.Random.
+   * Ignores the installed source.
+   * @param {number} size - Number of bytes
+   * @returns {Buffer}
+   */
+  static getRandomBufferNode(size) {
+    return bsv.crypto.Random.getRandomBufferNode(size)
+  }
+
+  /**
+   * bsv's browser generator, see getRandomBufferNode
+   * @param {number} size - Number of bytes
+   * @returns {Buffer}
+   */
+  static getRandomBufferBrowser(size) {
+    return bsv.crypto.Random.getRandomBufferBrowser(size)
+  }
+
+  /**
+   * Install a source for all library randomness
+   * @param {Function|Object|null} newSource - (size) => bytes, an object with
+   * getRandomBuffer(size), or null to restore crypto.randomBytes
+   */
+  static setSource(newSource) {
+    const valid = newSource === null || typeof newSource === 'function' ||
+      (typeof newSource === 'object' && typeof newSource.getRandomBuffer === 'function')
+    if (!valid) {
+      throw new TypeError('Random source must be a function or have a getRandomBuffer method')
+    }
+    source = newSource
+  }
+
+  /**
+   * Run a synchronous function with a source installed, then restore the previous one
+   * @param {Function|Object} newSource - See Random.setSource
+   * @param {Function} fn - Function to run
+   * @returns {*} the result of fn
+   */
+  static withSource(newSource, fn) {
+    const previous = source
+    Random.setSource(newSource)
+    try {
+      return fn()
+    } finally {
+      source = previous
+    }
+  }
+
+  /**
+   * Allow DeterministicRandom to run. Never enable this outside tests.
+   * @param {boolean} enabled
+   */
+  static setTestMode(enabled) {
+    testMode = enabled === true
+  }
+
+  /**
+   * @type {boolean}
+   */
+  static get isTestMode() {
+    return testMode
+  }
+}
+
+/**
+ * Seeded random source for reproducible tests and golden files.
+ *
+ * The stream is SHA-256(seed || counter) for counter = 0, 1, ..., read in
+ * order across calls. It is entirely predictable from the seed, so creating
+ * or reading one throws a TestModeError unless Random.setTestMode(true) was
+ * called.
+ */
+class DeterministicRandom {
+  /**
+   * @param {Buffer|string} seed - Non-empty seed, strings are UTF-8 encoded
+   * @throws {TestModeError} outside test mode
+   */
+  constructor(seed) {
+    DeterministicRandom._checkTestMode()
+    const bytes = typeof seed === 'string' ? Buffer.from(seed, 'utf8') : seed
+    if (!Buffer.isBuffer(bytes) || bytes.length === 0) {
+      throw new TypeError('Seed must be a non-empty Buffer or string')
+    }
+    this._seed = Buffer.from(bytes)
+    this._counter = 0
+    this._pending = Buffer.alloc(0)
+  }
+
+  /**
+   * @param {number} size - Number of bytes
+   * @returns {Buffer} the next bytes of the stream
+   * @throws {TestModeError} outside test mode
+   */
+  getRandomBuffer(size) {
+    DeterministicRandom._checkTestMode()
+    const blocks = [this._pending]
+    let available = this._pending.length
+    while (available < size) {
+      const counter = Buffer.alloc(4)
+      counter.writeUInt32BE(this._counter++)
+      const block = createHash('sha256').update(this._seed).update(counter).digest()
+      blocks.push(block)
+      available += block.length
+    }
+    const stream = Buffer.concat(blocks)
+    this._pending = stream.subarray(size)
+    return stream.subarray(0, size)
+  }
+
+  /**
+   * @throws {TestModeError}
+   * @private
+   */
+  static _checkTestMode() {
+    if (!testMode) {
+      throw new TestModeError()
+    }
+  }
+}
+
+Random.DeterministicRandom = DeterministicRandom
+Random.TestModeError = TestModeError
+
+module.exports = Random
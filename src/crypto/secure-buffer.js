@@ -0,0 +1,136 @@
+'use strict'
+
+const util = require('util')
+const { Buffer } = require('buffer')
+const { timingSafeEqual } = require('crypto')
+
+class DisposedError extends Error {
+  constructor(message) {
+    super(message || 'Secret has been disposed')
+    this.name = 'DisposedError'
+  }
+}
+
+/**
+ * Wipeable container for secret bytes such as entropy, phrases and seeds.
+ *
+ * The bytes live in an unpooled Buffer that is zero-filled by dispose(), so
+ * they do not linger in the heap after use. Any access after disposal throws
+ * a DisposedError instead of silently handing out zeros. Strings produced by
+ * toString(encoding) are ordinary JS strings and cannot be wiped.
+ */
+class SecureBuffer {
+  /**
+   * Take ownership of a buffer; callers must not keep other references to it
+   * @param {Buffer} buffer - Secret bytes
+   */
+  constructor(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+      throw new TypeError('SecureBuffer requires a Buffer')
+    }
+    Object.defineProperty(this, '_buffer', { value: buffer, writable: true })
+  }
+
+  /**
+   * Copy data into a new SecureBuffer
+   * @param {Buffer|string} data - Bytes, or a string in the given encoding
+   * @param {string} encoding - String encoding, utf8 by default
+   * @returns {SecureBuffer}
+   */
+  static from(data, encoding = 'utf8') {
+    const source = typeof data === 'string' ? Buffer.from(data, encoding) : data
+    if (!Buffer.isBuffer(source)) {
+      throw new TypeError('Data must be a Buffer or a string')
+    }
+    const buffer = Buffer.alloc(source.length)
+    source.copy(buffer)
+    if (source !== data) {
+      source.fill(0)
+    }
+    return new SecureBuffer(buffer)
+  }
+
+  /**
+   * Number of bytes held
+   * @type {number}
+   */
+  get length() {
+    return this.toBuffer().length
+  }
+
+  /**
+   * Whether the bytes have been wiped
+   * @type {boolean}
+   */
+  get isDisposed() {
+    return this._buffer === null
+  }
+
+  /**
+   * Backing memory, not a copy: it is zeroed when this container is disposed
+   * @returns {Buffer}
+   * @throws {DisposedError}
+   */
+  toBuffer() {
+    if (this._buffer === null) {
+      throw new DisposedError()
+    }
+    return this._buffer
+  }
+
+  /**
+   * Reveal the bytes in an explicit encoding. Without one, as when the
+   * container is coerced to a string or lands in an error message, only a
+   * placeholder is returned.
+   * @param {string} encoding - Buffer encoding, e.g. 'utf8' or 'hex'
+   * @returns {string}
+   * @throws {DisposedError} if an encoding is given after disposal
+   */
+  toString(encoding) {
+    if (encoding === undefined) {
+      return this.isDisposed ? 'SecureBuffer <disposed>' : `SecureBuffer <${this._buffer.length} bytes>`
+    }
+    return this.toBuffer().toString(encoding)
+  }
+
+  /**
+   * Constant-time comparison
+   * @param {SecureBuffer|Buffer} other - Bytes to compare with
+   * @returns {boolean}
+   */
+  equals(other) {
+    const a = this.toBuffer()
+    const b = other instanceof SecureBuffer ? other.toBuffer() : other
+    return Buffer.isBuffer(b) && a.length === b.length && timingSafeEqual(a, b)
+  }
+
+  /**
+   * Zero-fill the bytes and release them. Safe to call more than once.
+   */
+  dispose() {
+    if (this._buffer !== null) {
+      this._buffer.fill(0)
+      this._buffer = null
+    }
+  }
+
+  /**
+   * Alias of dispose()
+   */
+  wipe() {
+    this.dispose()
+  }
+
+  [util.inspect.custom]() {
+    return this.toString()
+  }
+}
+
+// `using` declarations dispose the secret at the end of the block
+if (typeof Symbol.dispose === 'symbol') {
+  SecureBuffer.prototype[Symbol.dispose] = SecureBuffer.prototype.dispose
+}
+
+SecureBuffer.DisposedError = DisposedError
+
+module.exports = SecureBuffer
@@ -1,5 +1,8 @@
 const bsv = require('bsv');
 const Point = require('./crypto/point');
+const SecureBuffer = require('./crypto/secure-buffer');
+const Random = require('./crypto/random');
+const { PrivateKey, HDPrivateKey, redact } = require('./crypto/keys');
 const Mnemonic = require('./mnemonic');
 
 // Create a secure fork by replacing the vulnerable crypto components
@@ -8,8 +11,13 @@ const secureLib = {
   ...bsv,
   crypto: {
     ...bsv.crypto,
-    Point: Point  // Replace with our secure implementation
+    Point: Point,  // Replace with our secure implementation
+    SecureBuffer: SecureBuffer,  // Wipeable container for seeds and other secrets
+    Random: Random,  // Injectable randomness used by the library and new keys
+    redact: redact  // Redacted inspect and JSON output for keys built with bsv
   },
+  PrivateKey: PrivateKey,  // New keys draw from crypto.Random; keys render redacted
+  HDPrivateKey: HDPrivateKey,
   Mnemonic: Mnemonic  // Add our BSV-compatible mnemonic implementation
 };
 
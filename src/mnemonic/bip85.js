@@ -0,0 +1,241 @@
+'use strict'
+
+const bsv = require('bsv')
+const { Buffer } = require('buffer')
+const { createHmac } = require('crypto')
+
+// Wipeable storage for secrets
+const SecureBuffer = require('../crypto/secure-buffer')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// HMAC key turning a derived private key into entropy
+const BIP85_KEY = 'bip-entropy-from-k'
+
+// RFC 1924 alphabet, as used by Python's base64.b85encode
+const BASE85_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz!#$%&()*+-;<=>?@^_`{|}~'
+
+/**
+ * BIP85 deterministic entropy from a master key.
+ * See https://github.com/bitcoin/bips/blob/master/bip-0085.mediawiki
+ *
+ * Each application derives a hardened child under m/83696968' and hashes its
+ * private key into up to 64 bytes of entropy, so one master backup can spawn
+ * independent child seeds, keys and passwords.
+ */
+class Bip85 {
+  /**
+   * @param {HDPrivateKey|string} root - BIP32 master key (depth 0)
+   */
+  constructor(root) {
+    root = typeof root === 'string' ? new bsv.HDPrivateKey(root) : root
+    preconditions.checkArgument(root instanceof bsv.HDPrivateKey, 'Root must be an HDPrivateKey')
+    preconditions.checkArgument(root.depth === 0, 'BIP85 requires a master key')
+    Object.defineProperty(this, '_root', { value: root })
+  }
+
+  /**
+   * @param {Mnemonic} mnemonic - Master mnemonic
+   * @param {string} passphrase - Optional BIP39 passphrase
+   * @param {string|Network} network - livenet (default), testnet or stn
+   * @returns {Bip85}
+   */
+  static fromMnemonic(mnemonic, passphrase = '', network = 'livenet') {
+    return new Bip85(mnemonic.toHDPrivateKey(passphrase, network))
+  }
+
+  /**
+   * Derive raw BIP85 entropy
+   * @param {string} path - Fully hardened path below m/83696968'
+   * @param {number} length - Bytes to keep, at most 64
+   * @returns {SecureBuffer}
+   */
+  deriveEntropy(path, length = 64) {
+    preconditions.checkArgument(/^m\/83696968'(\/\d+')+$/.test(path), `Invalid BIP85 path: ${path}`)
+    preconditions.checkArgument(Number.isInteger(length) && length > 0 && length <= 64, 'Length must be 1 to 64 bytes')
+
+    const Mnemonic = require('./mnemonic')
+    const child = Mnemonic._checkHDPrivateKey(this._root.deriveChild(path))
+    const privateKey = child.privateKey.toBuffer()
+    const entropy = createHmac('sha512', BIP85_KEY).update(privateKey).digest()
+    privateKey.fill(0)
+
+    const result = SecureBuffer.from(entropy.slice(0, length))
+    entropy.fill(0)
+    return result
+  }
+
+  /**
+   * Derive a child BIP39 mnemonic (application 39')
+   * @param {Object} options
+   * @param {number} options.words - 12, 15, 18, 21 or 24
+   * @param {Array} options.wordlist - Wordlist of the child, English by default
+   * @param {number} options.index - Child index
+   * @returns {Mnemonic}
+   */
+  deriveMnemonic({ words = 12, wordlist, index = 0 } = {}) {
+    const Mnemonic = require('./mnemonic')
+    wordlist = wordlist || Mnemonic.Words.ENGLISH
+    preconditions.checkArgument(Mnemonic._isValidWordCount(words), `Invalid word count: ${words}`)
+    const language = Bip85.LANGUAGES[Mnemonic._getWordlistName(wordlist)]
+    preconditions.checkArgument(language !== undefined, 'Wordlist has no BIP85 language code')
+    Bip85._checkIndex(index)
+
+    const path = `m/83696968'/39'/${language}'/${words}'/${index}'`
+    const entropy = this.deriveEntropy(path, words * 4 / 3)
+    try {
+      return Mnemonic.fromEntropy(entropy.toBuffer(), wordlist)
+    } finally {
+      entropy.dispose()
+    }
+  }
+
+  /**
+   * Derive a private key in WIF (application 2')
+   * @param {number} index - Child index
+   * @returns {string}
+   */
+  deriveWIF(index = 0) {
+    Bip85._checkIndex(index)
+    const entropy = this.deriveEntropy(`m/83696968'/2'/${index}'`, 32)
+    try {
+      return new bsv.PrivateKey(bsv.crypto.BN.fromBuffer(entropy.toBuffer()), this._root.network).toWIF()
+    } finally {
+      entropy.dispose()
+    }
+  }
+
+  /**
+   * Derive a master extended private key (application 32')
+   * The first 32 bytes are the chain code and the last 32 the private key.
+   * @param {number} index - Child index
+   * @returns {HDPrivateKey} disposable key, as returned by Mnemonic#toHDPrivateKey
+   */
+  deriveXPRV(index = 0) {
+    Bip85._checkIndex(index)
+    const Mnemonic = require('./mnemonic')
+    const entropy = this.deriveEntropy(`m/83696968'/32'/${index}'`, 64)
+    try {
+      const bytes = entropy.toBuffer()
+      const hdPrivateKey = new bsv.HDPrivateKey({
+        network: this._root.network,
+        depth: 0,
+        parentFingerPrint: 0,
+        childIndex: 0,
+        chainCode: Buffer.from(bytes.slice(0, 32)),
+        privateKey: Buffer.from(bytes.slice(32, 64))
+      })
+      return Mnemonic._disposableKey(Mnemonic._checkHDPrivateKey(hdPrivateKey))
+    } finally {
+      entropy.dispose()
+    }
+  }
+
+  /**
+   * Derive hex encoded entropy (application 128169')
+   * @param {number} length - 16 to 64 bytes
+   * @param {number} index - Child index
+   * @returns {string}
+   */
+  deriveHex(length = 64, index = 0) {
+    preconditions.checkArgument(Number.isInteger(length) && length >= 16 && length <= 64, 'Length must be 16 to 64 bytes')
+    Bip85._checkIndex(index)
+    return Bip85._encode(this.deriveEntropy(`m/83696968'/128169'/${length}'/${index}'`, length), entropy => {
+      return entropy.toString('hex')
+    })
+  }
+
+  /**
+   * Derive a password (applications 707764' for base64, 707785' for base85)
+   * @param {number} length - Characters, 20 to 86 for base64 and 10 to 80 for base85
+   * @param {number} index - Child index
+   * @param {string} encoding - base64 (default) or base85
+   * @returns {string}
+   */
+  derivePassword(length = 21, index = 0, encoding = 'base64') {
+    Bip85._checkIndex(index)
+    if (encoding === 'base64') {
+      preconditions.checkArgument(Number.isInteger(length) && length >= 20 && length <= 86, 'Length must be 20 to 86 characters')
+      return Bip85._encode(this.deriveEntropy(`m/83696968'/707764'/${length}'/${index}'`), entropy => {
+        return entropy.toString('base64').slice(0, length)
+      })
+    }
+    if (encoding === 'base85') {
+      preconditions.checkArgument(Number.isInteger(length) && length >= 10 && length <= 80, 'Length must be 10 to 80 characters')
+      return Bip85._encode(this.deriveEntropy(`m/83696968'/707785'/${length}'/${index}'`), entropy => {
+        return Bip85._base85(entropy).slice(0, length)
+      })
+    }
+    throw new Error(`Unknown password encoding: ${encoding}`)
+  }
+
+  /**
+   * Wipe the master key
+   */
+  dispose() {
+    if (typeof this._root.dispose === 'function') {
+      this._root.dispose()
+    }
+  }
+
+  /**
+   * Encode entropy and dispose of it
+   * @param {SecureBuffer} entropy - Derived entropy
+   * @param {Function} encode - Called with the entropy bytes
+   * @returns {string}
+   * @private
+   */
+  static _encode(entropy, encode) {
+    try {
+      return encode(entropy.toBuffer())
+    } finally {
+      entropy.dispose()
+    }
+  }
+
+  /**
+   * @param {number} index - Child index
+   * @private
+   */
+  static _checkIndex(index) {
+    preconditions.checkArgument(Number.isInteger(index) && index >= 0 && index < 0x80000000, 'Index must be a non-negative integer')
+  }
+
+  /**
+   * Base85 without padding; the input length must be a multiple of 4
+   * @param {Buffer} data - Bytes to encode
+   * @returns {string}
+   * @private
+   */
+  static _base85(data) {
+    let result = ''
+    for (let i = 0; i < data.length; i += 4) {
+      let value = data.readUInt32BE(i)
+      let chunk = ''
+      for (let j = 0; j < 5; j++) {
+        chunk = BASE85_ALPHABET[value % 85] + chunk
+        value = Math.floor(value / 85)
+      }
+      result += chunk
+    }
+    return result
+  }
+}
+
+// BIP85 language codes, keyed like Mnemonic.Words. Portuguese continues the
+// order of the BIP39 wordlist index.
+Bip85.LANGUAGES = Object.freeze({
+  ENGLISH: 0,
+  JAPANESE: 1,
+  KOREAN: 2,
+  SPANISH: 3,
+  CHINESE_SIMPLIFIED: 4,
+  CHINESE_TRADITIONAL: 5,
+  FRENCH: 6,
+  ITALIAN: 7,
+  CZECH: 8,
+  PORTUGUESE: 9
+})
+
+module.exports = Bip85
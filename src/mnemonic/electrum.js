@@ -0,0 +1,154 @@
+'use strict'
+
+const bsv = require('bsv')
+const unorm = require('unorm')
+const pbkdf2 = require('pbkdf2')
+const { createHmac } = require('crypto')
+
+// Wipeable storage for secrets
+const SecureBuffer = require('../crypto/secure-buffer')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// Custom error types
+const { InvalidMnemonicError } = require('./errors')
+
+// Ranges Electrum treats as CJK when removing whitespace between characters
+const CJK_INTERVALS = [
+  [0x4E00, 0x9FFF], // CJK Unified Ideographs
+  [0x3400, 0x4DBF], // CJK Unified Ideographs Extension A
+  [0x20000, 0x2A6DF], // CJK Unified Ideographs Extension B
+  [0x2A700, 0x2B73F], // CJK Unified Ideographs Extension C
+  [0x2B740, 0x2B81F], // CJK Unified Ideographs Extension D
+  [0xF900, 0xFAFF], // CJK Compatibility Ideographs
+  [0x2F800, 0x2FA1D], // CJK Compatibility Ideographs Supplement
+  [0x3190, 0x319F], // Kanbun
+  [0x2E80, 0x2EFF], // CJK Radicals Supplement
+  [0x2F00, 0x2FDF], // CJK Radicals
+  [0x31C0, 0x31EF], // CJK Strokes
+  [0x2FF0, 0x2FFF], // Ideographic Description Characters
+  [0xE0100, 0xE01EF], // Variation Selectors Supplement
+  [0x3100, 0x312F], // Bopomofo
+  [0x31A0, 0x31BF], // Bopomofo Extended
+  [0xFF00, 0xFFEF], // Halfwidth and Fullwidth Forms
+  [0x3040, 0x309F], // Hiragana
+  [0x30A0, 0x30FF], // Katakana
+  [0x31F0, 0x31FF], // Katakana Phonetic Extensions
+  [0x1B000, 0x1B0FF], // Kana Supplement
+  [0xAC00, 0xD7AF], // Hangul Syllables
+  [0x1100, 0x11FF], // Hangul Jamo
+  [0xA960, 0xA97F], // Hangul Jamo Extended A
+  [0xD7B0, 0xD7FF], // Hangul Jamo Extended B
+  [0x3130, 0x318F], // Hangul Compatibility Jamo
+  [0xA4D0, 0xA4FF], // Lisu
+  [0x16F00, 0x16F9F], // Miao
+  [0xA000, 0xA48F], // Yi Syllables
+  [0xA490, 0xA4CF] // Yi Radicals
+]
+
+/**
+ * Electrum v2 seed phrases, as used by Electrum and ElectrumSV.
+ * See https://electrum.readthedocs.io/en/latest/seedphrase.html
+ *
+ * Electrum seeds carry no BIP39 checksum. Instead the HMAC-SHA512 of the
+ * normalized phrase, keyed with "Seed version", starts with a version prefix.
+ * The BIP32 seed is PBKDF2 with an "electrum" salt instead of "mnemonic".
+ */
+class Electrum {
+  /**
+   * Check whether a phrase is an Electrum seed of the given version
+   * @param {string} phrase - Seed phrase
+   * @param {string} prefix - Hex version prefix, standard seeds by default
+   * @returns {boolean}
+   */
+  static isValid(phrase, prefix = Electrum.SEED_PREFIX_STANDARD) {
+    if (typeof phrase !== 'string') {
+      return false
+    }
+    const hash = createHmac('sha512', 'Seed version')
+      .update(Electrum.normalize(phrase))
+      .digest('hex')
+    return hash.startsWith(prefix)
+  }
+
+  /**
+   * Generate the BIP32 seed for an Electrum standard seed phrase
+   * @param {string} phrase - Seed phrase
+   * @param {string} passphrase - Optional seed extension
+   * @returns {SecureBuffer}
+   * @throws {InvalidMnemonicError} if the phrase is not an Electrum standard seed
+   */
+  static toSeed(phrase, passphrase = '') {
+    preconditions.checkArgument(typeof passphrase === 'string', 'Passphrase must be a string')
+    if (!Electrum.isValid(phrase)) {
+      throw new InvalidMnemonicError('Not an Electrum standard seed')
+    }
+    return new SecureBuffer(pbkdf2.pbkdf2Sync(
+      Electrum.normalize(phrase),
+      'electrum' + Electrum.normalize(passphrase),
+      2048,
+      64,
+      'sha512'
+    ))
+  }
+
+  /**
+   * Derive the BIP32 master key for an Electrum standard seed phrase
+   * Electrum standard wallets derive receiving addresses at m/0/i and change at m/1/i.
+   * @param {string} phrase - Seed phrase
+   * @param {string} passphrase - Optional seed extension
+   * @param {string|Network} network - livenet (default), testnet or stn
+   * @returns {HDPrivateKey} disposable key, as returned by Mnemonic#toHDPrivateKey
+   */
+  static toHDPrivateKey(phrase, passphrase = '', network = 'livenet') {
+    // Required here rather than at load time: mnemonic.js requires this module
+    const Mnemonic = require('./mnemonic')
+    const seed = Electrum.toSeed(phrase, passphrase)
+    try {
+      const hdPrivateKey = bsv.HDPrivateKey.fromSeed(seed.toBuffer(), Mnemonic._getNetwork(network))
+      return Mnemonic._disposableKey(Mnemonic._checkHDPrivateKey(hdPrivateKey))
+    } finally {
+      seed.dispose()
+    }
+  }
+
+  /**
+   * Normalize text the way Electrum does before hashing
+   * NFKD, lower case, no combining marks, single spaces and no spaces
+   * between CJK characters.
+   * @param {string} text - Phrase or passphrase
+   * @returns {string}
+   */
+  static normalize(text) {
+    preconditions.checkArgument(typeof text === 'string', 'Text must be a string')
+
+    const chars = Array.from(
+      unorm.nfkd(text)
+        .toLowerCase()
+        .replace(/\p{Mn}/gu, '')
+        .trim()
+        .split(/\s+/)
+        .join(' ')
+    )
+    return chars
+      .filter((char, i) => !(char === ' ' && Electrum._isCJK(chars[i - 1]) && Electrum._isCJK(chars[i + 1])))
+      .join('')
+  }
+
+  /**
+   * @param {string=} char - Single character
+   * @returns {boolean}
+   * @private
+   */
+  static _isCJK(char) {
+    if (!char) return false
+    const code = char.codePointAt(0)
+    return CJK_INTERVALS.some(([min, max]) => code >= min && code <= max)
+  }
+}
+
+// Seed version prefixes (hex) of Electrum v2 seeds
+Electrum.SEED_PREFIX_STANDARD = '01'
+
+module.exports = Electrum
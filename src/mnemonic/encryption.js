@@ -0,0 +1,210 @@
+'use strict'
+
+const unorm = require('unorm')
+const { Buffer } = require('buffer')
+const { scryptSync, createCipheriv, createDecipheriv } = require('crypto')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// Custom error types
+const { DecryptionError, UnknownWordlistError } = require('./errors')
+
+// Injectable randomness
+const Random = require('../crypto/random')
+
+// Identifies backups written by this module
+const FORMAT = 'sl-bsv-mnemonic'
+const VERSION = 1
+const KDF = 'scrypt'
+const CIPHER = 'aes-256-gcm'
+
+// GCM nonce and full-length authentication tag, in bytes
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+
+// Upper bounds applied to KDF parameters read from a backup. scrypt fills
+// 128 * N * r bytes once per unit of p, so the product is capped as well:
+// a crafted blob can cost at most 256 MiB of memory-hard work
+const MAX_N = 1 << 20
+const MAX_R = 32
+const MAX_P = 16
+const MAX_COST = 256 * 1024 * 1024
+
+/**
+ * Password-protected mnemonic backups.
+ *
+ * The key is stretched with scrypt and the entropy is sealed with
+ * AES-256-GCM. Backups are JSON documents carrying the format version, KDF
+ * parameters, cipher nonce and wordlist name next to the ciphertext. Every
+ * header field is authenticated, so a wrong password and any tampering both
+ * fail the GCM tag check.
+ */
+class MnemonicEncryption {
+  /**
+   * Encrypt a mnemonic
+   * @param {Mnemonic} mnemonic - Mnemonic to protect
+   * @param {string} password - Encryption password
+   * @param {Object} options - scrypt cost parameters N, r and p
+   * @returns {string} JSON backup
+   * @throws {UnknownWordlistError} if the wordlist has no name to record
+   * @throws {ChecksumMismatchError} for non-standard phrases, which the entropy cannot restore
+   */
+  static encrypt(mnemonic, password, { N = MnemonicEncryption.DEFAULT_N, r = 8, p = 1 } = {}) {
+    preconditions.checkArgument(typeof password === 'string' && password.length > 0, 'Password must be a non-empty string')
+    MnemonicEncryption._checkKdfParams(N, r, p, preconditions.checkArgument)
+
+    const Mnemonic = require('./mnemonic')
+    mnemonic._checkStandard('an encrypted backup')
+    const wordlist = Mnemonic._getWordlistName(mnemonic.wordlist)
+    if (!wordlist) {
+      throw new UnknownWordlistError('Only mnemonics with a named wordlist can be encrypted')
+    }
+
+    const header = {
+      format: FORMAT,
+      version: VERSION,
+      kdf: { name: KDF, N, r, p, salt: Random.getRandomBuffer(16).toString('base64') },
+      cipher: { name: CIPHER, iv: Random.getRandomBuffer(IV_LENGTH).toString('base64') },
+      wordlist
+    }
+
+    const key = MnemonicEncryption._deriveKey(password, header.kdf)
+    try {
+      const cipher = createCipheriv(CIPHER, key, Buffer.from(header.cipher.iv, 'base64'), { authTagLength: TAG_LENGTH })
+      cipher.setAAD(MnemonicEncryption._associatedData(header))
+      const data = Buffer.concat([cipher.update(mnemonic._entropy.toBuffer()), cipher.final()])
+      header.cipher.tag = cipher.getAuthTag().toString('base64')
+      header.data = data.toString('base64')
+      return JSON.stringify(header)
+    } finally {
+      key.fill(0)
+    }
+  }
+
+  /**
+   * Decrypt a backup written by MnemonicEncryption.encrypt
+   * @param {string|Object} blob - JSON backup or its parsed form
+   * @param {string} password - Encryption password
+   * @returns {Mnemonic}
+   * @throws {DecryptionError} for a wrong password, tampering or a malformed backup
+   */
+  static decrypt(blob, password) {
+    preconditions.checkArgument(typeof password === 'string', 'Password must be a string')
+    const Mnemonic = require('./mnemonic')
+    const header = MnemonicEncryption._parse(blob)
+    const wordlist = Mnemonic.Words[header.wordlist]
+
+    const key = MnemonicEncryption._deriveKey(password, header.kdf)
+    let entropy
+    try {
+      const decipher = createDecipheriv(CIPHER, key, Buffer.from(header.cipher.iv, 'base64'), { authTagLength: TAG_LENGTH })
+      decipher.setAAD(MnemonicEncryption._associatedData(header))
+      decipher.setAuthTag(Buffer.from(header.cipher.tag, 'base64'))
+      entropy = Buffer.concat([decipher.update(Buffer.from(header.data, 'base64')), decipher.final()])
+    } catch (e) {
+      throw new DecryptionError('Wrong password or corrupted backup')
+    } finally {
+      key.fill(0)
+    }
+
+    try {
+      return Mnemonic.fromEntropy(entropy, wordlist)
+    } finally {
+      entropy.fill(0)
+    }
+  }
+
+  /**
+   * Validate a backup and return it in canonical form
+   * @param {string|Object} blob - JSON backup or its parsed form
+   * @returns {Object}
+   * @private
+   */
+  static _parse(blob) {
+    let parsed = blob
+    if (typeof blob === 'string') {
+      try {
+        parsed = JSON.parse(blob)
+      } catch (e) {
+        throw new DecryptionError('Backup is not valid JSON')
+      }
+    }
+
+    const check = (condition, message) => {
+      if (!condition) throw new DecryptionError(message)
+    }
+    check(parsed && typeof parsed === 'object', 'Backup must be an object')
+    check(parsed.format === FORMAT, 'Not a mnemonic backup')
+    check(parsed.version === VERSION, `Unsupported backup version: ${parsed.version}`)
+
+    const { kdf, cipher } = parsed
+    check(kdf && kdf.name === KDF, 'Unsupported key derivation')
+    MnemonicEncryption._checkKdfParams(kdf.N, kdf.r, kdf.p, check)
+    check(cipher && cipher.name === CIPHER, 'Unsupported cipher')
+
+    const Mnemonic = require('./mnemonic')
+    check(Array.isArray(Mnemonic.Words[parsed.wordlist]), `Unknown wordlist: ${parsed.wordlist}`)
+
+    const base64 = value => typeof value === 'string' && /^[A-Za-z0-9+/]*={0,2}$/.test(value)
+    check(base64(kdf.salt) && base64(cipher.iv) && base64(cipher.tag) && base64(parsed.data), 'Malformed backup')
+    // GCM accepts shorter tags, which would make forgeries far cheaper
+    check(Buffer.from(cipher.iv, 'base64').length === IV_LENGTH, `Cipher iv must be ${IV_LENGTH} bytes`)
+    check(Buffer.from(cipher.tag, 'base64').length === TAG_LENGTH, `Authentication tag must be ${TAG_LENGTH} bytes`)
+
+    return {
+      format: FORMAT,
+      version: VERSION,
+      kdf: { name: KDF, N: kdf.N, r: kdf.r, p: kdf.p, salt: kdf.salt },
+      cipher: { name: CIPHER, iv: cipher.iv, tag: cipher.tag },
+      wordlist: parsed.wordlist,
+      data: parsed.data
+    }
+  }
+
+  /**
+   * @param {string} password - Encryption password, NFKD normalized
+   * @param {Object} kdf - scrypt parameters and salt
+   * @returns {Buffer} 32-byte key
+   * @private
+   */
+  static _deriveKey(password, { N, r, p, salt }) {
+    return scryptSync(unorm.nfkd(password), Buffer.from(salt, 'base64'), 32, {
+      N,
+      r,
+      p,
+      // V takes 128 * r * (N + 2) bytes and B 128 * r * p, both within
+      // MAX_COST plus a few blocks once _checkKdfParams has passed
+      maxmem: MAX_COST + 128 * r * (p + 2)
+    })
+  }
+
+  /**
+   * Header fields covered by the authentication tag
+   * @param {Object} header - Backup header
+   * @returns {Buffer}
+   * @private
+   */
+  static _associatedData({ format, version, kdf, cipher, wordlist }) {
+    return Buffer.from(JSON.stringify([format, version, kdf.name, kdf.N, kdf.r, kdf.p, kdf.salt, cipher.name, cipher.iv, wordlist]))
+  }
+
+  /**
+   * @param {number} N - CPU/memory cost, a power of two
+   * @param {number} r - Block size
+   * @param {number} p - Parallelization
+   * @param {Function} check - Called with (condition, message)
+   * @private
+   */
+  static _checkKdfParams(N, r, p, check) {
+    check(Number.isInteger(N) && N > 1 && N <= MAX_N && (N & (N - 1)) === 0, 'N must be a power of two up to 2^20')
+    check(Number.isInteger(r) && r > 0 && r <= MAX_R, 'r must be 1 to 32')
+    check(Number.isInteger(p) && p > 0 && p <= MAX_P, 'p must be 1 to 16')
+    check(128 * N * r * p <= MAX_COST, 'scrypt cost 128 * N * r * p must not exceed 256 MiB')
+  }
+}
+
+// Default scrypt cost: 2^17 uses 128 MiB with r = 8
+MnemonicEncryption.DEFAULT_N = 1 << 17
+
+module.exports = MnemonicEncryption
@@ -0,0 +1,166 @@
+'use strict'
+
+const { Buffer } = require('buffer')
+const { createHash } = require('crypto')
+
+// Injectable randomness
+const Random = require('../crypto/random')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// Custom error types
+const { InvalidEntropyError, InsufficientEntropyError } = require('./errors')
+
+/**
+ * User-supplied entropy for mnemonic generation.
+ *
+ * Coin flips and hex digits carry whole bits and are used as the entropy
+ * verbatim. Dice do not, so the rolls are hashed with SHA-256 and the hash is
+ * truncated to the requested size; converting the base-6 or base-20 number
+ * directly would bias the result. The digest is taken over the canonical roll
+ * string (d6 rolls as digits, e.g. "3516...", d20 rolls separated by single
+ * spaces), so the phrase can be checked with any SHA-256 tool.
+ */
+class UserEntropy {
+  /**
+   * Convert user input into entropy bytes
+   * @param {string} input - Dice rolls, coin flips or hex digits
+   * @param {string} type - One of UserEntropy.TYPES
+   * @param {number} bits - Entropy size in bits (128-256, multiple of 32)
+   * @returns {Buffer}
+   * @throws {InvalidEntropyError} for malformed input
+   * @throws {InsufficientEntropyError} if the input carries fewer than bits
+   */
+  static toEntropy(input, type, bits = 128) {
+    preconditions.checkArgument(typeof input === 'string', 'Entropy input must be a string')
+    preconditions.checkArgument(bits >= 128 && bits <= 256 && bits % 32 === 0, 'Invalid entropy')
+
+    switch (type) {
+      case UserEntropy.TYPES.D6:
+      case UserEntropy.TYPES.D20:
+        return UserEntropy._fromDice(input, type === UserEntropy.TYPES.D6 ? 6 : 20, bits)
+      case UserEntropy.TYPES.COIN:
+        return UserEntropy._fromCoins(input, bits)
+      case UserEntropy.TYPES.HEX:
+        return UserEntropy._fromHex(input, bits)
+      default:
+        throw new InvalidEntropyError(`Unknown entropy type: ${type}`)
+    }
+  }
+
+  /**
+   * Mix entropy with the system RNG
+   * SHA-256(user entropy || random bytes) is unpredictable as long as either
+   * input is, so the result is at least as strong as the better source.
+   * @param {Buffer} entropy - User entropy
+   * @returns {Buffer} mixed entropy of the same length
+   */
+  static mix(entropy) {
+    preconditions.checkArgument(Buffer.isBuffer(entropy) && entropy.length <= 32, 'Entropy must be a Buffer')
+    return createHash('sha256')
+      .update(entropy)
+      .update(Random.getRandomBuffer(32))
+      .digest()
+      .slice(0, entropy.length)
+  }
+
+  /**
+   * Number of rolls needed for a given entropy size
+   * @param {number} sides - 6 or 20
+   * @param {number} bits - Entropy size in bits
+   * @returns {number}
+   */
+  static minimumRolls(sides, bits = 128) {
+    return Math.ceil(bits / Math.log2(sides))
+  }
+
+  /**
+   * @param {string} input - Rolls, whitespace or comma separated for d20
+   * @param {number} sides - 6 or 20
+   * @param {number} bits - Entropy size in bits
+   * @returns {Buffer}
+   * @private
+   */
+  static _fromDice(input, sides, bits) {
+    const tokens = sides === 6
+      ? input.replace(/[\s,]/g, '').split('')
+      : input.trim().split(/[\s,]+/).filter(Boolean)
+
+    const rolls = tokens.map(token => {
+      const roll = /^\d+$/.test(token) ? parseInt(token, 10) : NaN
+      if (!(roll >= 1 && roll <= sides)) {
+        throw new InvalidEntropyError(`Invalid d${sides} roll: ${token}`)
+      }
+      return roll
+    })
+
+    const required = UserEntropy.minimumRolls(sides, bits)
+    if (rolls.length < required) {
+      throw new InsufficientEntropyError(`${required} d${sides} rolls are needed for ${bits} bits, got ${rolls.length}`)
+    }
+
+    const canonical = rolls.join(sides === 6 ? '' : ' ')
+    return createHash('sha256').update(canonical, 'ascii').digest().slice(0, bits / 8)
+  }
+
+  /**
+   * @param {string} input - Flips as H/T or 1/0, first flip is the top bit
+   * @param {number} bits - Entropy size in bits
+   * @returns {Buffer}
+   * @private
+   */
+  static _fromCoins(input, bits) {
+    const flips = input.replace(/[\s,]/g, '').toUpperCase()
+    if (!/^[HT01]*$/.test(flips)) {
+      throw new InvalidEntropyError('Coin flips must be H/T or 1/0')
+    }
+    UserEntropy._checkExactLength(flips.length, bits, 'coin flips')
+
+    const binary = flips.replace(/H/g, '1').replace(/T/g, '0')
+    const entropy = Buffer.alloc(bits / 8)
+    for (let i = 0; i < entropy.length; i++) {
+      entropy[i] = parseInt(binary.slice(i * 8, (i + 1) * 8), 2)
+    }
+    return entropy
+  }
+
+  /**
+   * @param {string} input - Hex digits
+   * @param {number} bits - Entropy size in bits
+   * @returns {Buffer}
+   * @private
+   */
+  static _fromHex(input, bits) {
+    const hex = input.replace(/\s/g, '').toLowerCase()
+    if (!/^[0-9a-f]*$/.test(hex)) {
+      throw new InvalidEntropyError('Hex entropy must contain only hex digits')
+    }
+    UserEntropy._checkExactLength(hex.length, bits / 4, 'hex digits')
+    return Buffer.from(hex, 'hex')
+  }
+
+  /**
+   * Raw entropy must match the requested size: extra symbols would be
+   * silently dropped and missing ones cannot be made up
+   * @private
+   */
+  static _checkExactLength(length, expected, unit) {
+    if (length < expected) {
+      throw new InsufficientEntropyError(`${expected} ${unit} are needed, got ${length}`)
+    }
+    if (length > expected) {
+      throw new InvalidEntropyError(`Expected ${expected} ${unit}, got ${length}`)
+    }
+  }
+}
+
+// Supported user entropy sources
+UserEntropy.TYPES = Object.freeze({
+  D6: 'd6',
+  D20: 'd20',
+  COIN: 'coin',
+  HEX: 'hex'
+})
+
+module.exports = UserEntropy
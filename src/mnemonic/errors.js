@@ -0,0 +1,129 @@
+'use strict'
+
+/**
+ * Error types raised by the mnemonic implementation.
+ * All of them extend MnemonicError so callers can catch the whole family.
+ */
+
+class MnemonicError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'MnemonicError'
+  }
+}
+
+class UnknownWordlistError extends MnemonicError {
+  constructor(message) {
+    super(message || 'Unknown wordlist')
+    this.name = 'UnknownWordlistError'
+  }
+}
+
+class InvalidMnemonicError extends MnemonicError {
+  constructor(message) {
+    super(message || 'Invalid mnemonic')
+    this.name = 'InvalidMnemonicError'
+  }
+}
+
+class InvalidWordCountError extends InvalidMnemonicError {
+  constructor(wordCount, expected) {
+    super(`Invalid word count: ${wordCount}, expected ${expected.join(', ')}`)
+    this.name = 'InvalidWordCountError'
+    this.wordCount = wordCount
+    this.expected = expected
+  }
+}
+
+class UnknownWordError extends InvalidMnemonicError {
+  constructor(word, index, suggestions) {
+    super(`Unknown word "${word}" at position ${index + 1}`)
+    this.name = 'UnknownWordError'
+    this.word = word
+    this.index = index
+    this.suggestions = suggestions || []
+  }
+}
+
+class WrongWordlistError extends InvalidMnemonicError {
+  constructor(detected) {
+    super(`Mnemonic does not belong to the given wordlist but to ${detected}`)
+    this.name = 'WrongWordlistError'
+    this.detected = detected
+  }
+}
+
+class ChecksumMismatchError extends InvalidMnemonicError {
+  constructor(message) {
+    super(message || 'Mnemonic checksum does not match')
+    this.name = 'ChecksumMismatchError'
+  }
+}
+
+class InvalidEntropyError extends MnemonicError {
+  constructor(message) {
+    super(message || 'Invalid entropy')
+    this.name = 'InvalidEntropyError'
+  }
+}
+
+class InsufficientEntropyError extends InvalidEntropyError {
+  constructor(message) {
+    super(message || 'Not enough entropy')
+    this.name = 'InsufficientEntropyError'
+  }
+}
+
+class InvalidShareError extends MnemonicError {
+  constructor(message) {
+    super(message || 'Invalid SLIP-39 share')
+    this.name = 'InvalidShareError'
+  }
+}
+
+class AbortError extends MnemonicError {
+  constructor(message) {
+    super(message || 'The operation was aborted')
+    this.name = 'AbortError'
+    this.code = 'ABORT_ERR'
+  }
+}
+
+class AmbiguousWordlistError extends MnemonicError {
+  constructor(message) {
+    super(message || 'Mnemonic matches more than one wordlist')
+    this.name = 'AmbiguousWordlistError'
+  }
+}
+
+class InvalidWordlistError extends MnemonicError {
+  constructor(message, words) {
+    super(message || 'Invalid wordlist')
+    this.name = 'InvalidWordlistError'
+    this.words = words || []
+  }
+}
+
+class DecryptionError extends MnemonicError {
+  constructor(message) {
+    super(message || 'Could not decrypt mnemonic backup')
+    this.name = 'DecryptionError'
+  }
+}
+
+module.exports = {
+  MnemonicError,
+  UnknownWordlistError,
+  InvalidMnemonicError,
+  InvalidWordCountError,
+  UnknownWordError,
+  WrongWordlistError,
+  ChecksumMismatchError,
+  InvalidEntropyError,
+  InsufficientEntropyError,
+  InvalidShareError,
+  AbortError,
+  AmbiguousWordlistError,
+  InvalidWordlistError,
+  DecryptionError
+}
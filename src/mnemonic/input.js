@@ -0,0 +1,212 @@
+'use strict'
+
+const { Buffer } = require('buffer')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// Custom error types
+const { InvalidMnemonicError, InvalidWordCountError, UnknownWordError } = require('./errors')
+
+/**
+ * Word-by-word phrase entry for wallet restore screens.
+ *
+ * The UI calls complete() on every keystroke to show matching words and to
+ * flag a typo as soon as no word starts with the typed prefix, then add()
+ * once a word is chosen. Before the last word of a 12, 15, 18, 21 or 24 word
+ * phrase, finalWords() lists exactly the words that give a valid checksum.
+ *
+ * Words are held as plain strings; call clear() when entry is abandoned.
+ */
+class MnemonicInput {
+  /**
+   * @param {Object} options
+   * @param {Array} options.wordlist - Wordlist to enter words from, English by default
+   * @param {number} options.wordCount - Expected phrase length; any BIP39 length if omitted
+   */
+  constructor({ wordlist, wordCount } = {}) {
+    const Mnemonic = require('./mnemonic')
+    wordlist = wordlist || Mnemonic.Words.ENGLISH
+    preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
+    if (wordCount !== undefined && !Mnemonic._isValidWordCount(wordCount)) {
+      throw new InvalidWordCountError(wordCount, MnemonicInput._wordCounts())
+    }
+
+    this.wordlist = wordlist
+    this.wordCount = wordCount
+    this._words = []
+    this._indices = []
+  }
+
+  /**
+   * Words entered so far
+   * @type {Array<string>}
+   */
+  get words() {
+    return this._words.slice()
+  }
+
+  /**
+   * @type {number}
+   */
+  get length() {
+    return this._words.length
+  }
+
+  /**
+   * Where entry stands, one of MnemonicInput.STATUS
+   * @type {string}
+   */
+  get status() {
+    const STATUS = MnemonicInput.STATUS
+    if (this._isPhraseLength(this.length)) {
+      const Mnemonic = require('./mnemonic')
+      return Mnemonic.isValid(this._words.join(' '), this.wordlist) ? STATUS.VALID : STATUS.INVALID
+    }
+    if (this._isPhraseLength(this.length + 1)) {
+      return STATUS.FINAL
+    }
+    return STATUS.ENTERING
+  }
+
+  /**
+   * Words starting with a typed prefix, for a keystroke
+   * When the next word is the last of wordCount words, only words with a
+   * valid checksum are offered.
+   * @param {string} prefix - Text typed so far for the next word
+   * @returns {Object} { prefix, completions, invalid, suggestions }; invalid
+   *   when no word starts with the prefix, with the closest words as suggestions
+   */
+  complete(prefix) {
+    preconditions.checkArgument(typeof prefix === 'string', 'Prefix must be a string')
+    const Mnemonic = require('./mnemonic')
+
+    const token = Mnemonic.Parser.tokenize(prefix).join(' ')
+    let completions = Mnemonic.Parser.complete(token, this.wordlist)
+    if (this.wordCount === this.length + 1) {
+      const finals = new Set(this.finalWords())
+      completions = completions.filter(word => finals.has(word))
+    }
+
+    const invalid = token.length > 0 && completions.length === 0
+    const suggestions = invalid ? Mnemonic.Parser.suggest(token, this.wordlist) : []
+    return { prefix: token, completions, invalid, suggestions }
+  }
+
+  /**
+   * Append a word
+   * A prefix matching exactly one word is expanded to that word.
+   * @param {string} word - Word as typed or picked
+   * @returns {string} the word added
+   * @throws {UnknownWordError} with suggestions, if the word is not in the wordlist
+   * @throws {InvalidMnemonicError} if the phrase already has all its words
+   */
+  add(word) {
+    preconditions.checkArgument(typeof word === 'string', 'Word must be a string')
+    const Mnemonic = require('./mnemonic')
+
+    const maxWords = this.wordCount || Math.max(...MnemonicInput._wordCounts())
+    if (this.length >= maxWords) {
+      throw new InvalidMnemonicError(`Phrase already has ${maxWords} words`)
+    }
+
+    const token = Mnemonic.Parser.tokenize(word).join(' ')
+    const { word: resolved, suggestions } = Mnemonic.Parser.resolve(token, this.wordlist)
+    if (resolved === null) {
+      throw new UnknownWordError(token, this.length, suggestions)
+    }
+
+    this._words.push(resolved)
+    this._indices.push(Mnemonic._wordIndexes(this.wordlist).get(resolved))
+    return resolved
+  }
+
+  /**
+   * Remove the last word, for backspace over a word boundary
+   * @returns {string|null} the removed word
+   */
+  removeLast() {
+    this._indices.pop()
+    return this._words.pop() || null
+  }
+
+  /**
+   * Forget every word entered
+   */
+  clear() {
+    this._words = []
+    this._indices = []
+  }
+
+  /**
+   * Words that complete the phrase with a valid checksum
+   * The last word carries 11 - CS entropy bits and a CS bit checksum, so
+   * there are 128 candidates for 12 words down to 8 for 24 words.
+   * @returns {Array<string>} candidates in wordlist order, empty unless
+   *   status is FINAL
+   */
+  finalWords() {
+    if (this.status !== MnemonicInput.STATUS.FINAL) {
+      return []
+    }
+    const Mnemonic = require('./mnemonic')
+
+    const wordCount = this.length + 1
+    const checksumBits = wordCount / 3
+    const indices = this._indices.concat(0)
+    const entropy = Buffer.alloc(wordCount * 4 / 3)
+
+    const candidates = []
+    for (let bits = 0; bits < 1 << (11 - checksumBits); bits++) {
+      indices[wordCount - 1] = bits << checksumBits
+      Mnemonic._packEntropy(indices, entropy)
+      const checksum = parseInt(Mnemonic._entropyChecksum(entropy), 2)
+      candidates.push(this.wordlist[indices[wordCount - 1] | checksum])
+    }
+    entropy.fill(0)
+    return candidates
+  }
+
+  /**
+   * Build the mnemonic once every word is entered
+   * @returns {Mnemonic}
+   * @throws {InvalidMnemonicError} if the phrase is incomplete or fails its checksum
+   */
+  toMnemonic() {
+    const Mnemonic = require('./mnemonic')
+    if (!this._isPhraseLength(this.length)) {
+      throw new InvalidWordCountError(this.length, this.wordCount ? [this.wordCount] : MnemonicInput._wordCounts())
+    }
+    return new Mnemonic(Mnemonic._joinWords(this._words, this.wordlist), this.wordlist)
+  }
+
+  /**
+   * @param {number} length - Number of words
+   * @returns {boolean} true if a phrase of this length is expected
+   * @private
+   */
+  _isPhraseLength(length) {
+    const Mnemonic = require('./mnemonic')
+    return this.wordCount ? length === this.wordCount : Mnemonic._isValidWordCount(length)
+  }
+
+  /**
+   * @returns {Array<number>} BIP39 word counts
+   * @private
+   */
+  static _wordCounts() {
+    const Mnemonic = require('./mnemonic')
+    return Mnemonic.ENTROPY_LENGTHS.map(length => length * 3 / 4)
+  }
+}
+
+// Entry states: ENTERING words, FINAL when the next word can complete the
+// phrase, then VALID or INVALID depending on the checksum
+MnemonicInput.STATUS = Object.freeze({
+  ENTERING: 'entering',
+  FINAL: 'final',
+  VALID: 'valid',
+  INVALID: 'invalid'
+})
+
+module.exports = MnemonicInput
@@ -1,68 +1,97 @@
 'use strict'
 
+const bsv = require('bsv')
+const util = require('util')
 const BN = require('bn.js')
 const unorm = require('unorm')
 const pbkdf2 = require('pbkdf2')
 const { Buffer } = require('buffer')
-const { randomBytes, createHash } = require('crypto')
+const { createHash, pbkdf2: pbkdf2Async } = require('crypto')
 
 // Import our secure Point implementation
 const Point = require('../crypto/point')
 
+// Wipeable storage for secrets
+const SecureBuffer = require('../crypto/secure-buffer')
+
+// Injectable randomness
+const Random = require('../crypto/random')
+
+// Redacted rendering of private keys
+const { redact } = require('../crypto/keys')
+
 // Preconditions for input validation
-const preconditions = {
-  checkArgument: function(condition, message) {
-    if (!condition) {
-      throw new Error(message || 'Invalid argument')
-    }
-  },
-  checkState: function(condition, message) {
-    if (!condition) {
-      throw new Error(message || 'Invalid state')
-    }
-  }
-}
+const preconditions = require('../util/preconditions')
+
+// Pinned hashes of the shipped wordlists
+const { FINGERPRINTS } = require('./fingerprints')
 
 // Custom error types
-class MnemonicError extends Error {
-  constructor(message) {
-    super(message)
-    this.name = 'MnemonicError'
-  }
-}
+const {
+  UnknownWordlistError,
+  InvalidMnemonicError,
+  InvalidWordCountError,
+  UnknownWordError,
+  WrongWordlistError,
+  ChecksumMismatchError,
+  InvalidEntropyError,
+  AbortError,
+  AmbiguousWordlistError,
+  InvalidWordlistError
+} = require('./errors')
 
-class UnknownWordlistError extends MnemonicError {
-  constructor(message) {
-    super(message || 'Unknown wordlist')
-    this.name = 'UnknownWordlistError'
-  }
+// Process warnings are emitted once per code, like util.deprecate
+const emittedWarnings = new Set()
+function warnOnce(code, message, type = 'DeprecationWarning') {
+  if (emittedWarnings.has(code)) return
+  emittedWarnings.add(code)
+  process.emitWarning(message, type, code)
 }
 
-class InvalidMnemonicError extends MnemonicError {
-  constructor(message) {
-    super(message || 'Invalid mnemonic')
-    this.name = 'InvalidMnemonicError'
-  }
-}
+// Word to index maps of frozen wordlists, built on first use
+const wordIndexCache = new WeakMap()
+
+const LEGACY_CHECKSUM_WARNING = 'Mnemonic checksum does not match; imported as a non-standard legacy phrase. ' +
+  'Other BIP39 wallets may reject it, and it cannot be rebuilt from its entropy.'
+
+// Constructor option of the deprecated entropy overloads
+const LEGACY_ENTROPY = Symbol('legacyEntropy')
+
+// Identifies documents written by Mnemonic#toSecretJSON
+const SECRET_JSON_FORMAT = 'sl-bsv-mnemonic-phrase'
+const SECRET_JSON_VERSION = 1
 
 /**
  * Secure implementation of BIP39 Mnemonic code.
  * See BIP39 specification: https://github.com/bitcoin/bips/blob/master/bip-0039.mediawiki
+ *
+ * The phrase and entropy are kept in SecureBuffers. Call dispose() once the
+ * mnemonic is no longer needed; every later use throws a DisposedError.
  */
 class Mnemonic {
   /**
-   * @param {*=} data - a seed, phrase, or entropy to initialize (can be skipped)
+   * @param {*=} data - a phrase or entropy size in bits to initialize (can be skipped);
+   *   passing entropy as a Buffer is deprecated in favour of Mnemonic.fromEntropy.
+   *   Until its removal a Buffer may still hold more than 32 bytes, as before
    * @param {Array=} wordlist - the wordlist to generate mnemonics from
+   * @param {Object=} options
+   * @param {boolean} options.allowInvalidChecksum - Accept a phrase whose last word
+   *   fails the BIP39 checksum, as written by some older wallets. Every word must
+   *   still be in the wordlist. The mnemonic is marked non-standard and lists the
+   *   reason in its warnings; a process warning is emitted the first time only.
    */
-  constructor(data, wordlist) {
+  constructor(data, wordlist, { allowInvalidChecksum = false, [LEGACY_ENTROPY]: legacyEntropy = false } = {}) {
     if (!(this instanceof Mnemonic)) {
-      return new Mnemonic(data, wordlist)
+      return new Mnemonic(data, wordlist, { allowInvalidChecksum, [LEGACY_ENTROPY]: legacyEntropy })
     }
 
     // Handle data overloading
-    let ent, phrase, seed
+    let ent, phrase, entropy
     if (Buffer.isBuffer(data)) {
-      seed = data
+      legacyEntropy = true
+      warnOnce('SLBSV_MNEMONIC_BUFFER',
+        'Passing a Buffer to new Mnemonic() is deprecated. Use Mnemonic.fromEntropy() instead.')
+      entropy = data
     } else if (typeof data === 'string') {
       phrase = unorm.nfkd(data)
     } else if (typeof data === 'number') {
@@ -75,25 +104,34 @@ class Mnemonic {
     }
     ent = ent || 128
 
-    // Validate and detect wordlist
-    wordlist = wordlist || Mnemonic._getDictionary(phrase)
-    if (phrase && !wordlist) {
-      throw new UnknownWordlistError()
+    // Generate or validate phrase, detecting the wordlist if not given
+    if (entropy) {
+      wordlist = wordlist || Mnemonic.Words.ENGLISH
+      phrase = Mnemonic._entropy2mnemonic(entropy, wordlist)
+    }
+    let warnings = []
+    if (phrase) {
+      const report = Mnemonic.validate(phrase, { wordlist, suggestions: false })
+      const only = type => report.findings.length === 1 && report.findings[0] instanceof type
+      // The deprecated entropy overloads still take more than 256 bits until they are removed
+      const legacyLength = legacyEntropy && only(InvalidWordCountError)
+      if (!report.valid && !legacyLength && !(allowInvalidChecksum && only(ChecksumMismatchError))) {
+        throw report.findings[0]
+      }
+      wordlist = report.wordlist
+      if (!report.valid && !legacyLength) {
+        warnings = [LEGACY_CHECKSUM_WARNING]
+        warnOnce('SLBSV_MNEMONIC_INVALID_CHECKSUM', LEGACY_CHECKSUM_WARNING, 'MnemonicWarning')
+      }
     }
     wordlist = wordlist || Mnemonic.Words.ENGLISH
 
-    // Generate or validate phrase
-    if (seed) {
-      phrase = Mnemonic._entropy2mnemonic(seed, wordlist)
-    }
-    if (phrase && !Mnemonic.isValid(phrase, wordlist)) {
-      throw new InvalidMnemonicError()
-    }
     if (ent % 32 !== 0 || ent < 128) {
       throw new Error('Entropy must be >= 128 and a multiple of 32')
     }
 
     phrase = phrase || Mnemonic._generateMnemonic(ent, wordlist)
+    phrase = Mnemonic._joinWords(unorm.nfkd(phrase).split(' '), wordlist)
 
     // Make properties immutable
     Object.defineProperty(this, 'wordlist', {
@@ -101,30 +139,132 @@ class Mnemonic {
       value: wordlist
     })
 
-    Object.defineProperty(this, 'phrase', {
-      configurable: false,
-      value: phrase
+    // Legacy phrases without a valid checksum are non-standard
+    Object.defineProperty(this, 'isStandard', {
+      value: warnings.length === 0
+    })
+    Object.defineProperty(this, 'warnings', {
+      value: Object.freeze(warnings)
+    })
+
+    // Secrets are not enumerable so they stay out of JSON and inspection
+    Object.defineProperty(this, '_phrase', {
+      value: SecureBuffer.from(phrase)
     })
+
+    Object.defineProperty(this, '_entropy', {
+      value: new SecureBuffer(Mnemonic._mnemonic2entropy(phrase, wordlist))
+    })
+  }
+
+  /**
+   * The mnemonic phrase
+   * @type {string}
+   * @throws {DisposedError} once the mnemonic has been disposed
+   */
+  get phrase() {
+    return this._phrase.toString('utf8')
+  }
+
+  /**
+   * Whether dispose() has been called
+   * @type {boolean}
+   */
+  get isDisposed() {
+    return this._phrase.isDisposed
+  }
+
+  /**
+   * Wipe the phrase and entropy held by this mnemonic
+   * Seeds and keys returned earlier are separate containers with their own dispose().
+   */
+  dispose() {
+    this._phrase.dispose()
+    this._entropy.dispose()
+  }
+
+  /**
+   * Alias of dispose()
+   */
+  wipe() {
+    this.dispose()
   }
 
   /**
    * Generate a random mnemonic
+   * Entropy comes from crypto.Random, or from options.random for this call only.
    * @param {Array} wordlist - Optional wordlist to use
+   * @param {Object} options
+   * @param {Function|Object} options.random - Random source, as for Random.setSource
    * @returns {Mnemonic}
    */
-  static fromRandom(wordlist = Mnemonic.Words.ENGLISH) {
+  static fromRandom(wordlist = Mnemonic.Words.ENGLISH, { random } = {}) {
+    if (random) {
+      return Random.withSource(random, () => new Mnemonic(null, wordlist))
+    }
     return new Mnemonic(null, wordlist)
   }
 
+  /**
+   * Create a mnemonic from entropy
+   * @param {Buffer} entropy - 16, 20, 24, 28 or 32 bytes of entropy
+   * @param {Array} wordlist - Optional wordlist to use
+   * @returns {Mnemonic}
+   */
+  static fromEntropy(entropy, wordlist = Mnemonic.Words.ENGLISH) {
+    Mnemonic._checkEntropy(entropy)
+    preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
+    return new Mnemonic(Mnemonic._entropy2mnemonic(entropy, wordlist), wordlist)
+  }
+
+  /**
+   * Create a mnemonic from dice rolls, coin flips or hex digits
+   * @param {string} input - Rolls (1-6 or 1-20), flips (H/T or 1/0) or hex digits
+   * @param {Object} options
+   * @param {string} options.type - d6, d20, coin or hex
+   * @param {number} options.bits - Entropy size, 128 (12 words) by default
+   * @param {boolean} options.mix - Hash the input together with random bytes
+   *   from the system RNG. The phrase is then no longer reproducible.
+   * @param {Array} options.wordlist - Optional wordlist to use
+   * @returns {Mnemonic}
+   * @throws {InsufficientEntropyError} if the input carries fewer than options.bits
+   */
+  static fromUserEntropy(input, { type, bits = 128, mix = false, wordlist = Mnemonic.Words.ENGLISH } = {}) {
+    return new Mnemonic(Mnemonic._generateMnemonic(bits, wordlist, { input, type, mix }), wordlist)
+  }
+
   /**
    * Create a mnemonic from a string
    * @param {string} mnemonic - The mnemonic string
    * @param {Array} wordlist - Optional wordlist to use
+   * @param {Object} options - Set expandPrefixes to accept unique word prefixes,
+   *   and allowInvalidChecksum for legacy phrases (see the constructor)
    * @returns {Mnemonic}
    */
-  static fromString(mnemonic, wordlist = Mnemonic.Words.ENGLISH) {
+  static fromString(mnemonic, wordlist = Mnemonic.Words.ENGLISH, { expandPrefixes = false, allowInvalidChecksum = false } = {}) {
     preconditions.checkArgument(typeof mnemonic === 'string', 'Mnemonic must be a string')
-    return new Mnemonic(mnemonic, wordlist)
+    if (expandPrefixes) {
+      const result = Mnemonic.parse(mnemonic, { wordlist })
+      if (!result.complete) {
+        const unresolved = result.words
+          .filter(word => word.word === null)
+          .map(word => `${word.input} (word ${word.position + 1})`)
+        throw new InvalidMnemonicError(`Unresolved words: ${unresolved.join(', ') || 'none given'}`)
+      }
+      mnemonic = result.phrase
+    }
+    return new Mnemonic(mnemonic, wordlist, { allowInvalidChecksum })
+  }
+
+  /**
+   * Parse a typed phrase leniently, expanding unique prefixes and suggesting
+   * the closest words for typos
+   * @param {string} input - Phrase as typed by the user
+   * @param {Object} options - See MnemonicParser.parse
+   * @returns {Object} { wordlist, words, phrase, complete, valid }
+   */
+  static parse(input, options) {
+    return Mnemonic.Parser.parse(input, options)
   }
 
   /**
@@ -135,77 +275,649 @@ class Mnemonic {
    */
   static isValid(mnemonic, wordlist) {
     try {
+      // NFKD maps the Japanese ideographic space (U+3000) to a plain space
       mnemonic = unorm.nfkd(mnemonic)
-      wordlist = wordlist || Mnemonic._getDictionary(mnemonic)
 
       if (!wordlist) {
-        return false
+        return Mnemonic._getDictionaries(mnemonic)
+          .some(candidate => Mnemonic.isValid(mnemonic, candidate))
       }
 
       const words = mnemonic.split(' ')
-      let bin = ''
-      
-      // Convert words to binary
+      if (!Mnemonic._isValidWordCount(words.length)) {
+        return false
+      }
+      const indexes = Mnemonic._wordIndexes(wordlist)
+      const indices = new Array(words.length)
       for (let i = 0; i < words.length; i++) {
-        const ind = wordlist.indexOf(words[i])
-        if (ind < 0) return false
-        bin = bin + ('00000000000' + ind.toString(2)).slice(-11)
+        const ind = indexes.get(words[i])
+        if (ind === undefined) return false
+        indices[i] = ind
       }
 
-      // Validate checksum
-      const cs = bin.length / 33
-      const hashBits = bin.slice(-cs)
-      const nonhashBits = bin.slice(0, bin.length - cs)
-      
-      // Convert binary to buffer
-      const buf = Buffer.alloc(nonhashBits.length / 8)
-      for (let i = 0; i < nonhashBits.length / 8; i++) {
-        buf.writeUInt8(parseInt(bin.slice(i * 8, (i + 1) * 8), 2), i)
-      }
-      
-      const expectedHashBits = Mnemonic._entropyChecksum(buf)
-      return expectedHashBits === hashBits
+      // The checksum is the low bits of the last word
+      const checksumBits = words.length / 3
+      const entropy = Buffer.alloc(words.length * 4 / 3)
+      Mnemonic._packEntropy(indices, entropy)
+      const checksum = indices[indices.length - 1] & ((1 << checksumBits) - 1)
+      return Mnemonic._checksum(entropy, checksumBits) === checksum
     } catch (e) {
       return false
     }
   }
 
+  /**
+   * Validate a mnemonic and report every problem found
+   *
+   * Findings are MnemonicError instances: InvalidWordCountError,
+   * UnknownWordError (with the word index and suggestions), WrongWordlistError,
+   * UnknownWordlistError, AmbiguousWordlistError and ChecksumMismatchError.
+   * The checksum is only checked once every word is known.
+   *
+   * @param {string} mnemonic - The mnemonic string
+   * @param {Object} options
+   * @param {Array} options.wordlist - Wordlist to check against, detected if omitted
+   * @param {boolean} options.suggestions - Attach closest words to unknown words
+   * @returns {Object} { valid, wordlist, words, findings }
+   */
+  static validate(mnemonic, { wordlist, suggestions = true } = {}) {
+    preconditions.checkArgument(typeof mnemonic === 'string', 'Mnemonic must be a string')
+
+    // NFKD maps the Japanese ideographic space (U+3000) to a plain space
+    const words = unorm.nfkd(mnemonic).split(' ')
+    const findings = []
+    const report = () => ({ valid: findings.length === 0, wordlist: wordlist || null, words, findings })
+
+    if (wordlist) {
+      preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
+      if (!Mnemonic._belongsToWordlist(mnemonic, wordlist)) {
+        const detected = Mnemonic._getDictionaries(mnemonic)[0]
+        if (detected && detected !== wordlist) {
+          findings.push(new WrongWordlistError(Mnemonic._getWordlistName(detected)))
+          return report()
+        }
+      }
+    } else {
+      try {
+        wordlist = Mnemonic._getDictionary(mnemonic) || Mnemonic._closestWordlist(words)
+      } catch (e) {
+        findings.push(e)
+        return report()
+      }
+      if (!wordlist) {
+        findings.push(new UnknownWordlistError())
+        return report()
+      }
+    }
+
+    if (!Mnemonic._isValidWordCount(words.length)) {
+      const expected = Mnemonic.ENTROPY_LENGTHS.map(length => length * 3 / 4)
+      findings.push(new InvalidWordCountError(words.length, expected))
+    }
+
+    const indexes = Mnemonic._wordIndexes(wordlist)
+    words.forEach((word, index) => {
+      if (!indexes.has(word)) {
+        const closest = suggestions ? Mnemonic.Parser.suggest(word, wordlist) : []
+        findings.push(new UnknownWordError(word, index, closest))
+      }
+    })
+
+    if (findings.length === 0 && !Mnemonic.isValid(mnemonic, wordlist)) {
+      findings.push(new ChecksumMismatchError())
+    }
+    return report()
+  }
+
+  /**
+   * List the seed schemes a phrase is valid under
+   * A restore flow uses this to pick the derivation: BIP39 phrases go through
+   * Mnemonic#toSeed, Electrum standard seeds through Mnemonic.Electrum.toSeed.
+   * A phrase can satisfy both checks, in which case the user has to choose.
+   * @param {string} phrase - Seed phrase
+   * @param {Array} wordlist - Optional BIP39 wordlist to check against
+   * @returns {Array<string>} matching Mnemonic.SCHEMES values
+   */
+  static getSchemes(phrase, wordlist) {
+    const schemes = []
+    if (Mnemonic.isValid(phrase, wordlist)) {
+      schemes.push(Mnemonic.SCHEMES.BIP39)
+    }
+    if (Mnemonic.Electrum.isValid(phrase)) {
+      schemes.push(Mnemonic.SCHEMES.ELECTRUM)
+    }
+    return schemes
+  }
+
+  /**
+   * List every checksum-valid phrase for a backup with missing or unsure words
+   * @param {string|Array} words - Phrase with '?' or null for unknown words
+   * @param {Object} options - See MnemonicRecovery.recover
+   * @returns {Array<string>} matching phrases
+   */
+  static recover(words, options) {
+    return Mnemonic.Recovery.recover(words, options)
+  }
+
+  /**
+   * Register a custom wordlist under Mnemonic.Words
+   * Registered lists are frozen and take part in wordlist detection after
+   * the shipped ones.
+   * @param {string} name - Upper case identifier, e.g. "ESPERANTO"
+   * @param {Array<string>} list - 2048 words
+   * @param {Object} options - Set uniquePrefixes to require unique 4-character prefixes
+   * @returns {Array<string>} the registered, NFKD-normalized list
+   * @throws {InvalidWordlistError}
+   */
+  static registerWordlist(name, list, { uniquePrefixes = false } = {}) {
+    preconditions.checkArgument(typeof name === 'string' && /^[A-Z][A-Z0-9_]*$/.test(name),
+      'Wordlist name must be an upper case identifier')
+    if (Object.prototype.hasOwnProperty.call(Mnemonic.Words, name)) {
+      throw new InvalidWordlistError(`Wordlist ${name} is already registered`)
+    }
+
+    const wordlist = Mnemonic.validateWordlist(list, { uniquePrefixes })
+    Mnemonic.Words[name] = wordlist
+    return wordlist
+  }
+
+  /**
+   * Alias of Mnemonic.Words.fingerprint
+   * @param {string} name - Wordlist name, e.g. "ENGLISH"
+   * @returns {string} hex SHA-256 fingerprint
+   * @throws {UnknownWordlistError}
+   */
+  static wordlistFingerprint(name) {
+    return Mnemonic.Words.fingerprint(name)
+  }
+
+  /**
+   * Check a wordlist: 2048 unique, non-empty words without whitespace
+   * Words are compared after NFKD normalization.
+   * @param {Array<string>} list - Wordlist to check
+   * @param {Object} options - Set uniquePrefixes to require unique 4-character prefixes
+   * @returns {Array<string>} frozen NFKD-normalized copy
+   * @throws {InvalidWordlistError} with the offending words in error.words
+   */
+  static validateWordlist(list, { uniquePrefixes = false } = {}) {
+    if (!Array.isArray(list)) {
+      throw new InvalidWordlistError('Wordlist must be an array')
+    }
+    if (list.length !== 2048) {
+      throw new InvalidWordlistError(`Wordlist must have 2048 words, got ${list.length}`)
+    }
+
+    const invalid = list.filter(word => typeof word !== 'string' || word === '' || /\s/.test(word))
+    if (invalid.length > 0) {
+      throw new InvalidWordlistError('Words must be non-empty strings without whitespace', invalid)
+    }
+
+    const words = list.map(word => unorm.nfkd(word))
+    const duplicates = Mnemonic._duplicates(words)
+    if (duplicates.length > 0) {
+      throw new InvalidWordlistError(`Duplicate words: ${duplicates.slice(0, 5).join(', ')}`, duplicates)
+    }
+
+    if (uniquePrefixes) {
+      const prefix = word => Array.from(word).slice(0, 4).join('')
+      const shared = Mnemonic._duplicates(words.map(prefix))
+      if (shared.length > 0) {
+        const clashing = words.filter(word => shared.indexOf(prefix(word)) >= 0)
+        throw new InvalidWordlistError(`Words share 4-character prefixes: ${shared.slice(0, 5).join(', ')}`, clashing)
+      }
+    }
+    return Object.freeze(words)
+  }
+
   /**
    * Generate a seed from mnemonic and optional passphrase
    * @param {string} passphrase - Optional passphrase
-   * @returns {Buffer}
+   * @returns {SecureBuffer}
    */
   toSeed(passphrase = '') {
     preconditions.checkArgument(typeof passphrase === 'string', 'Passphrase must be a string')
-    return pbkdf2.pbkdf2Sync(
-      unorm.nfkd(this.phrase),
-      unorm.nfkd('mnemonic' + passphrase),
-      2048,
-      64,
-      'sha512'
-    )
+    return new SecureBuffer(Mnemonic._seed(this.phrase, passphrase))
+  }
+
+  /**
+   * BIP39 seed of a phrase, without validating it
+   * @param {string} phrase - Mnemonic phrase
+   * @param {string} passphrase - Passphrase
+   * @returns {Buffer} 64-byte seed; the caller wipes it
+   * @private
+   */
+  static _seed(phrase, passphrase) {
+    return pbkdf2.pbkdf2Sync(unorm.nfkd(phrase), unorm.nfkd('mnemonic' + passphrase), 2048, 64, 'sha512')
+  }
+
+  /**
+   * Generate a seed without blocking the event loop
+   * PBKDF2 runs on the libuv thread pool. Aborting rejects the promise
+   * immediately and discards the seed once the computation finishes.
+   * @param {string} passphrase - Optional passphrase
+   * @param {Object} options - Optional AbortSignal as options.signal
+   * @returns {Promise<SecureBuffer>}
+   */
+  toSeedAsync(passphrase = '', { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      preconditions.checkArgument(typeof passphrase === 'string', 'Passphrase must be a string')
+      if (signal && signal.aborted) {
+        throw new AbortError()
+      }
+
+      const onAbort = () => reject(new AbortError())
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true })
+      }
+
+      const phrase = unorm.nfkd(this.phrase)
+      pbkdf2Async(
+        phrase,
+        unorm.nfkd('mnemonic' + passphrase),
+        2048,
+        64,
+        'sha512',
+        (err, seed) => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort)
+            if (signal.aborted) {
+              seed && seed.fill(0)
+              return
+            }
+          }
+          if (err) return reject(err)
+          resolve(new SecureBuffer(seed))
+        }
+      )
+    })
+  }
+
+  /**
+   * Derive the BIP32 master key for this mnemonic
+   * The key has dispose() and wipe() methods, see Mnemonic._disposableKey.
+   * @param {string} passphrase - Optional passphrase
+   * @param {string|Network} network - livenet (default), testnet or stn
+   * @returns {HDPrivateKey}
+   */
+  toHDPrivateKey(passphrase = '', network = 'livenet') {
+    const seed = this.toSeed(passphrase)
+    try {
+      const hdPrivateKey = bsv.HDPrivateKey.fromSeed(seed.toBuffer(), Mnemonic._getNetwork(network))
+      return Mnemonic._disposableKey(Mnemonic._checkHDPrivateKey(hdPrivateKey))
+    } finally {
+      seed.dispose()
+    }
+  }
+
+  /**
+   * Derive the BIP32 master public key for this mnemonic
+   * @param {string} passphrase - Optional passphrase
+   * @param {string|Network} network - livenet (default), testnet or stn
+   * @returns {HDPublicKey}
+   */
+  toHDPublicKey(passphrase = '', network = 'livenet') {
+    const master = this.toHDPrivateKey(passphrase, network)
+    try {
+      return master.hdPublicKey
+    } finally {
+      master.dispose()
+    }
+  }
+
+  /**
+   * Derive a BIP44 account key (m/44'/236'/account')
+   * @param {number} account - Account index
+   * @param {string} passphrase - Optional passphrase
+   * @param {string|Network} network - livenet (default), testnet or stn
+   * @returns {HDPrivateKey} disposable key
+   */
+  deriveAccountKey(account = 0, passphrase = '', network = 'livenet') {
+    return this._deriveKey(Mnemonic.derivationPath(account), passphrase, network)
+  }
+
+  /**
+   * Derive a BIP44 address key (m/44'/236'/account'/change/index)
+   * @param {number} index - Address index
+   * @param {Object} options - Optional account, change, passphrase and network
+   * @returns {HDPrivateKey} disposable key
+   */
+  deriveAddressKey(index = 0, { account = 0, change = 0, passphrase = '', network = 'livenet' } = {}) {
+    return this._deriveKey(Mnemonic.derivationPath(account, change, index), passphrase, network)
+  }
+
+  /**
+   * Derive a disposable key, wiping the master key afterwards
+   * @param {string} path - BIP32 path
+   * @param {string} passphrase - Optional passphrase
+   * @param {string|Network} network - Network of the key
+   * @returns {HDPrivateKey}
+   * @private
+   */
+  _deriveKey(path, passphrase, network) {
+    const master = this.toHDPrivateKey(passphrase, network)
+    try {
+      return Mnemonic._disposableKey(Mnemonic._checkHDPrivateKey(master.deriveChild(path)))
+    } finally {
+      master.dispose()
+    }
   }
 
   /**
-   * Create a mnemonic from a seed
-   * @param {Buffer} seed - The seed buffer
+   * BIP32 master key fingerprint for a passphrase
+   * Any passphrase gives a valid wallet, so a typo is only noticed when the
+   * balance is missing. Store the fingerprint (or the id) with the backup and
+   * check it with confirmPassphrase() before restoring. The fingerprint
+   * reveals nothing about the seed.
+   * @param {string} passphrase - Optional passphrase
+   * @returns {Object} { fingerprint, id }: eight hex digits of
+   *   HASH160(master public key), as shown by hardware wallets, and the same
+   *   32 bits as three English words for reading aloud
+   */
+  fingerprint(passphrase = '') {
+    const master = this.toHDPrivateKey(passphrase)
+    let fingerprint
+    try {
+      fingerprint = master.hdPublicKey.fingerPrint.readUInt32BE(0)
+    } finally {
+      master.dispose()
+    }
+    return {
+      fingerprint: fingerprint.toString(16).padStart(8, '0'),
+      id: Mnemonic._fingerprintWords(fingerprint)
+    }
+  }
+
+  /**
+   * Check a passphrase against a stored fingerprint
+   * @param {string} passphrase - Passphrase to check
+   * @param {string|number|Buffer|Object} stored - Hex fingerprint (optionally
+   *   0x-prefixed), its uint32 value, its four bytes, its three-word id, or
+   *   the object returned by fingerprint()
+   * @returns {boolean} true if the passphrase opens the stored wallet
+   * @throws {Error} if stored is not a fingerprint
+   */
+  confirmPassphrase(passphrase, stored) {
+    const expected = Mnemonic._parseFingerprint(stored)
+    return this.fingerprint(passphrase).fingerprint === expected
+  }
+
+  /**
+   * Encrypt this mnemonic into a password-protected backup
+   * @param {string} password - Encryption password
+   * @param {Object} options - scrypt cost parameters N, r and p
+   * @returns {string} JSON backup, see MnemonicEncryption
+   */
+  encrypt(password, options) {
+    return Mnemonic.Encryption.encrypt(this, password, options)
+  }
+
+  /**
+   * Restore a mnemonic from a password-protected backup
+   * @param {string|Object} blob - Backup returned by Mnemonic#encrypt
+   * @param {string} password - Encryption password
+   * @returns {Mnemonic}
+   * @throws {DecryptionError} for a wrong password or a tampered backup
+   */
+  static decrypt(blob, password) {
+    return Mnemonic.Encryption.decrypt(blob, password)
+  }
+
+  /**
+   * SeedQR payload of this mnemonic (English, 12 or 24 words)
+   * @param {Object} options - Set compact for a CompactSeedQR payload
+   * @returns {string|Buffer} digit stream, or bytes when compact
+   */
+  toSeedQR(options) {
+    return Mnemonic.SeedQR.encode(this, options)
+  }
+
+  /**
+   * Restore a mnemonic from a SeedQR or CompactSeedQR payload
+   * @param {string|Buffer|Uint8Array} payload - Scanned QR content
+   * @param {Object} options - allowInvalidChecksum, as for the constructor
+   * @returns {Mnemonic}
+   */
+  static fromSeedQR(payload, options) {
+    return Mnemonic.SeedQR.decode(payload, options)
+  }
+
+  /**
+   * Printable, self-contained HTML recovery sheet
+   * @param {Object} options - title, label, passphrase and seedQR, see PaperBackup.toHTML
+   * @returns {string} HTML document holding the phrase
+   */
+  toPaperBackup(options) {
+    return Mnemonic.Paper.toHTML(this, options)
+  }
+
+  /**
+   * Zero-based wordlist index of every word
+   * @returns {Array<number>}
+   */
+  toIndices() {
+    return Mnemonic.Numeric.toIndices(this)
+  }
+
+  /**
+   * Restore a mnemonic from zero-based word indexes
+   * @param {Array<number>} indices - Word indexes, 0 to 2047
+   * @param {Array} wordlist - Optional wordlist to use
+   * @param {Object} options - allowInvalidChecksum, as for the constructor
+   * @returns {Mnemonic}
+   */
+  static fromIndices(indices, wordlist, options) {
+    return Mnemonic.Numeric.fromIndices(indices, wordlist, options)
+  }
+
+  /**
+   * Four-digit word codes, for engraving
+   * @param {Object} options - Set oneBased for codes 0001-2048
+   * @returns {string} e.g. "0000 0000 ... 0003"
+   */
+  toNumeric(options) {
+    return Mnemonic.Numeric.toCodes(this, options)
+  }
+
+  /**
+   * Restore a mnemonic from four-digit word codes
+   * @param {string} text - Codes as read from the backup
+   * @param {Object} options - oneBased, wordlist and allowInvalidChecksum
+   * @returns {Mnemonic}
+   */
+  static fromNumeric(text, options) {
+    return Mnemonic.Numeric.fromCodes(text, options)
+  }
+
+  /**
+   * Binary punch grid, one row of 11 cells per word
+   * @param {Object} options - Cell symbols one and zero
+   * @returns {Array<string>}
+   */
+  toBinaryGrid(options) {
+    return Mnemonic.Numeric.toBinaryGrid(this, options)
+  }
+
+  /**
+   * Restore a mnemonic from a binary punch grid
+   * @param {string|Array<string>} grid - Rows, or text with one row per line
+   * @param {Object} options - Cell symbols one and zero, wordlist and allowInvalidChecksum
+   * @returns {Mnemonic}
+   */
+  static fromBinaryGrid(grid, options) {
+    return Mnemonic.Numeric.fromBinaryGrid(grid, options)
+  }
+
+  /**
+   * BIP85 deriver for child mnemonics, keys and passwords from this mnemonic
+   * @param {string} passphrase - Optional passphrase
+   * @param {string|Network} network - livenet (default), testnet or stn
+   * @returns {Bip85} call dispose() on it to wipe the master key
+   */
+  toBip85(passphrase = '', network = 'livenet') {
+    return Mnemonic.Bip85.fromMnemonic(this, passphrase, network)
+  }
+
+  /**
+   * Build a BSV BIP44 derivation path
+   * Omitted trailing levels are left off, so derivationPath(0) is the account path.
+   * @param {number} account - Account index (hardened)
+   * @param {number=} change - 0 for receiving, 1 for change addresses
+   * @param {number=} index - Address index
+   * @returns {string}
+   */
+  static derivationPath(account = 0, change, index) {
+    preconditions.checkArgument(Mnemonic._isPathIndex(account), 'Account must be a non-negative integer')
+    let path = `m/${Mnemonic.BIP44_PURPOSE}'/${Mnemonic.BSV_COIN_TYPE}'/${account}'`
+    if (change === undefined) return path
+
+    preconditions.checkArgument(change === 0 || change === 1, 'Change must be 0 or 1')
+    path += `/${change}`
+    if (index === undefined) return path
+
+    preconditions.checkArgument(Mnemonic._isPathIndex(index), 'Index must be a non-negative integer')
+    return path + `/${index}`
+  }
+
+  /**
+   * Recover the entropy encoded by this mnemonic
+   * @returns {SecureBuffer} a copy the caller disposes independently
+   * @throws {ChecksumMismatchError} for non-standard phrases
+   */
+  toEntropy() {
+    this._checkStandard('the entropy')
+    return SecureBuffer.from(this._entropy.toBuffer())
+  }
+
+  /**
+   * Split this mnemonic's entropy into SLIP-39 share mnemonics
+   * @param {Object} options - See Slip39.split
+   * @returns {Array<Array<string>>} share mnemonics, one array per group
+   */
+  toSlip39Shares(options) {
+    this._checkStandard('SLIP-39 shares')
+    return Mnemonic.Slip39.split(this._entropy.toBuffer(), options)
+  }
+
+  /**
+   * Restore a mnemonic from SLIP-39 share mnemonics
+   * @param {Array<string>} shares - Enough shares to meet every threshold
+   * @param {string} passphrase - Passphrase used when splitting
+   * @param {Array} wordlist - Optional wordlist to use
+   * @returns {Mnemonic}
+   */
+  static fromSlip39Shares(shares, passphrase = '', wordlist = Mnemonic.Words.ENGLISH) {
+    const masterSecret = Mnemonic.Slip39.combine(shares, passphrase)
+    try {
+      return Mnemonic.fromEntropy(masterSecret, wordlist)
+    } finally {
+      masterSecret.fill(0)
+    }
+  }
+
+  /**
+   * Create a mnemonic from entropy
+   * @deprecated The buffer is entropy, not a BIP39 seed: a 64-byte seed
+   *   cannot be turned back into its phrase. Use Mnemonic.fromEntropy.
+   *   Entropy longer than 32 bytes is still accepted until removal.
+   * @param {Buffer} seed - The entropy buffer
    * @param {Array} wordlist - Optional wordlist to use
    * @returns {Mnemonic}
    */
   static fromSeed(seed, wordlist) {
+    warnOnce('SLBSV_MNEMONIC_FROM_SEED',
+      'Mnemonic.fromSeed() is deprecated. Use Mnemonic.fromEntropy() instead.')
     preconditions.checkArgument(Buffer.isBuffer(seed), 'Seed must be a Buffer')
     preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
-    return new Mnemonic(seed, wordlist)
+    return new Mnemonic(Mnemonic._entropy2mnemonic(seed, wordlist), wordlist, { [LEGACY_ENTROPY]: true })
   }
 
   /**
    * Get string representation
+   * Japanese phrases are joined with ideographic spaces.
    * @returns {string}
    */
   toString() {
     return this.phrase
   }
 
+  /**
+   * Redacted form for JSON.stringify
+   * Use toSecretJSON() to serialize the phrase on purpose.
+   * @returns {Object} { type, wordlist, words, redacted }, without the phrase
+   */
+  toJSON() {
+    return {
+      type: 'Mnemonic',
+      wordlist: Mnemonic._getWordlistName(this.wordlist),
+      words: this.isDisposed ? null : this._entropy.length * 3 / 4,
+      redacted: true
+    }
+  }
+
+  [util.inspect.custom]() {
+    if (this.isDisposed) {
+      return 'Mnemonic <disposed>'
+    }
+    const { wordlist, words } = this.toJSON()
+    return `Mnemonic <${words} words, ${wordlist || 'custom wordlist'}${this.isStandard ? '' : ', non-standard'}, redacted>`
+  }
+
+  /**
+   * Serialize the phrase for deliberate storage or transfer
+   * The result holds the secret in plain text; encrypt() is the safer choice
+   * for anything written to disk.
+   * @returns {Object} { format, version, wordlist, phrase, standard }
+   * @throws {UnknownWordlistError} if the wordlist has no name to record
+   */
+  toSecretJSON() {
+    const wordlist = Mnemonic._getWordlistName(this.wordlist)
+    if (!wordlist) {
+      throw new UnknownWordlistError('Only mnemonics with a named wordlist can be serialized')
+    }
+    return {
+      format: SECRET_JSON_FORMAT,
+      version: SECRET_JSON_VERSION,
+      wordlist,
+      phrase: this.phrase,
+      standard: this.isStandard
+    }
+  }
+
+  /**
+   * Restore a mnemonic written by toSecretJSON
+   * Non-standard legacy phrases are accepted as such, with their warning.
+   * @param {string|Object} json - Document or its JSON text
+   * @returns {Mnemonic}
+   * @throws {InvalidMnemonicError} for a malformed document or an invalid phrase
+   * @throws {UnknownWordlistError} if the wordlist is not registered
+   */
+  static fromJSON(json) {
+    let parsed = json
+    if (typeof json === 'string') {
+      try {
+        parsed = JSON.parse(json)
+      } catch (e) {
+        throw new InvalidMnemonicError('Mnemonic JSON is not valid JSON')
+      }
+    }
+    if (!parsed || typeof parsed !== 'object' || parsed.format !== SECRET_JSON_FORMAT) {
+      throw new InvalidMnemonicError(parsed && parsed.redacted
+        ? 'Mnemonic JSON is redacted; write it with toSecretJSON()'
+        : 'Not a mnemonic JSON document')
+    }
+    if (parsed.version !== SECRET_JSON_VERSION) {
+      throw new InvalidMnemonicError(`Unsupported mnemonic JSON version: ${parsed.version}`)
+    }
+    if (typeof parsed.phrase !== 'string' || typeof parsed.standard !== 'boolean') {
+      throw new InvalidMnemonicError('Malformed mnemonic JSON')
+    }
+    const wordlist = Object.prototype.hasOwnProperty.call(Mnemonic.Words, parsed.wordlist) && Mnemonic.Words[parsed.wordlist]
+    if (!Array.isArray(wordlist)) {
+      throw new UnknownWordlistError(`Unknown wordlist: ${parsed.wordlist}`)
+    }
+    return new Mnemonic(parsed.phrase, wordlist, { allowInvalidChecksum: !parsed.standard })
+  }
+
   /**
    * Generate mnemonic from entropy
    * @param {Buffer} entropy - Entropy buffer
@@ -217,35 +929,234 @@ class Mnemonic {
     preconditions.checkArgument(Buffer.isBuffer(entropy), 'Entropy must be a Buffer')
     preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
 
-    const bin = entropy.toString('hex')
-      .match(/.{1,2}/g)
-      .map(byte => parseInt(byte, 16).toString(2).padStart(8, '0'))
-      .join('')
+    // Entropy followed by its checksum, read 11 bits per word
+    const hash = createHash('sha256').update(entropy).digest()
+    const data = Buffer.concat([entropy, hash])
+    const length = entropy.length * 8 + Mnemonic._checksumLength(entropy)
 
-    const cs = Mnemonic._entropyChecksum(entropy)
-    const bits = bin + cs
-    const chunks = bits.match(/(.{1,11})/g)
-    
-    return chunks
-      .map(binary => wordlist[parseInt(binary, 2)])
-      .join(' ')
+    const words = []
+    for (let offset = 0; offset < length; offset += 11) {
+      words.push(wordlist[Mnemonic._readBits(data, offset, Math.min(11, length - offset))])
+    }
+    return Mnemonic._joinWords(words, wordlist)
+  }
+
+  /**
+   * Decode a mnemonic to its entropy, dropping the checksum bits
+   * @param {string} mnemonic - Mnemonic string
+   * @param {Array} wordlist - Wordlist to use
+   * @returns {Buffer}
+   * @private
+   */
+  static _mnemonic2entropy(mnemonic, wordlist) {
+    preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
+
+    const indexes = Mnemonic._wordIndexes(wordlist)
+    const indices = unorm.nfkd(mnemonic).split(' ').map(word => {
+      const ind = indexes.get(word)
+      if (ind === undefined) {
+        throw new InvalidMnemonicError(`Unknown word: ${word}`)
+      }
+      return ind
+    })
+
+    // Every 33 bits hold 32 bits of entropy and one checksum bit
+    const entropy = Buffer.alloc(Math.floor(indices.length * 4 / 3))
+    Mnemonic._packEntropy(indices, entropy)
+    return entropy
+  }
+
+  /**
+   * Refuse exports that rebuild the phrase from its entropy
+   * A non-standard phrase would come back with a different last word, and so
+   * a different seed.
+   * @param {string} what - What is exported, for the error message
+   * @throws {ChecksumMismatchError} for non-standard phrases
+   * @private
+   */
+  _checkStandard(what) {
+    if (!this.isStandard) {
+      throw new ChecksumMismatchError(`Cannot export ${what} of a non-standard phrase; its last word fails the BIP39 checksum`)
+    }
+  }
+
+  /**
+   * Check that a buffer has a BIP39 entropy length
+   * @param {Buffer} entropy - Entropy buffer
+   * @throws {InvalidEntropyError}
+   * @private
+   */
+  static _checkEntropy(entropy) {
+    if (!Buffer.isBuffer(entropy)) {
+      throw new InvalidEntropyError('Entropy must be a Buffer')
+    }
+    if (Mnemonic.ENTROPY_LENGTHS.indexOf(entropy.length) < 0) {
+      throw new InvalidEntropyError(
+        `Entropy must be ${Mnemonic.ENTROPY_LENGTHS.join(', ')} bytes, got ${entropy.length}`
+      )
+    }
+  }
+
+  /**
+   * Join words with the separator used by the wordlist
+   * Japanese phrases are joined with an ideographic space (U+3000).
+   * @param {Array} words - Words to join
+   * @param {Array} wordlist - Wordlist the words belong to
+   * @returns {string}
+   * @private
+   */
+  static _joinWords(words, wordlist) {
+    return words.join(wordlist === Mnemonic.Words.JAPANESE ? '\u3000' : ' ')
   }
 
   /**
-   * Generate random mnemonic
+   * Generate a mnemonic from the system RNG or from user entropy
+   * Without mixing, user entropy always gives the same phrase.
    * @param {number} ent - Entropy bits (128-256)
    * @param {Array} wordlist - Wordlist to use
+   * @param {Object=} userEntropy - { input, type, mix } as in Mnemonic.fromUserEntropy
    * @returns {string}
    * @private
    */
-  static _generateMnemonic(ent, wordlist) {
+  static _generateMnemonic(ent, wordlist, userEntropy) {
     preconditions.checkArgument(ent >= 128 && ent <= 256 && ent % 32 === 0, 'Invalid entropy')
     preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
-    
-    const entropy = randomBytes(ent / 8)
+
+    let entropy
+    if (userEntropy) {
+      entropy = Mnemonic.UserEntropy.toEntropy(userEntropy.input, userEntropy.type, ent)
+      if (userEntropy.mix) {
+        entropy = Mnemonic.UserEntropy.mix(entropy)
+      }
+    } else {
+      entropy = Random.getRandomBuffer(ent / 8)
+    }
     return Mnemonic._entropy2mnemonic(entropy, wordlist)
   }
 
+  /**
+   * Check whether a value fits an unhardened BIP32 index
+   * @param {number} value - Index to check
+   * @returns {boolean}
+   * @private
+   */
+  static _isPathIndex(value) {
+    return Number.isInteger(value) && value >= 0 && value < 0x80000000
+  }
+
+  /**
+   * Resolve a network name or object
+   * @param {string|Network} network - Network name, alias or object
+   * @returns {Network}
+   * @private
+   */
+  static _getNetwork(network) {
+    const resolved = bsv.Networks.get(network)
+    preconditions.checkArgument(resolved, `Unknown network: ${network}`)
+    return resolved
+  }
+
+  /**
+   * Recompute an HD key's public point with the secure Point implementation
+   * and check it matches the key derived by bsv
+   * @param {HDPrivateKey} hdPrivateKey - Key to check
+   * @returns {HDPrivateKey}
+   * @private
+   */
+  static _checkHDPrivateKey(hdPrivateKey) {
+    const privateKey = hdPrivateKey.privateKey.toBuffer()
+    const k = new BN(privateKey)
+    privateKey.fill(0)
+    const point = Point.getG().mul(k)
+    k.words.fill(0)
+    preconditions.checkState(
+      point.toHex() === hdPrivateKey.publicKey.toString(),
+      'Derived public key does not match secure point multiplication'
+    )
+    return hdPrivateKey
+  }
+
+  /**
+   * Three English words for a 32-bit fingerprint
+   * The words hold the fingerprint followed by a zero bit, 11 bits each.
+   * @param {number} fingerprint - Unsigned 32-bit fingerprint
+   * @returns {string}
+   * @private
+   */
+  static _fingerprintWords(fingerprint) {
+    const words = Mnemonic.Words.ENGLISH
+    return [
+      words[fingerprint >>> 21],
+      words[(fingerprint >>> 10) & 0x7ff],
+      words[(fingerprint << 1) & 0x7ff]
+    ].join(' ')
+  }
+
+  /**
+   * Normalize a stored fingerprint to eight lowercase hex digits
+   * @param {string|number|Buffer|Object} stored - See Mnemonic#confirmPassphrase
+   * @returns {string}
+   * @private
+   */
+  static _parseFingerprint(stored) {
+    if (stored && typeof stored === 'object' && !Buffer.isBuffer(stored)) {
+      stored = stored.fingerprint
+    }
+    let fingerprint = null
+    if (Buffer.isBuffer(stored) && stored.length === 4) {
+      fingerprint = stored.readUInt32BE(0)
+    } else if (Number.isInteger(stored) && stored >= 0 && stored <= 0xffffffff) {
+      fingerprint = stored
+    } else if (typeof stored === 'string') {
+      const text = stored.trim().toLowerCase()
+      const indexes = Mnemonic._wordIndexes(Mnemonic.Words.ENGLISH)
+      const words = text.split(/\s+/).map(word => indexes.get(word))
+      if (/^(0x)?[0-9a-f]{8}$/.test(text)) {
+        fingerprint = parseInt(text.slice(-8), 16)
+      } else if (words.length === 3 && words.every(index => index !== undefined) && (words[2] & 1) === 0) {
+        fingerprint = (words[0] << 21 | words[1] << 10 | words[2] >>> 1) >>> 0
+      }
+    }
+    preconditions.checkArgument(fingerprint !== null,
+      'Fingerprint must be eight hex digits, a 32-bit number, four bytes or a three-word id')
+    return fingerprint.toString(16).padStart(8, '0')
+  }
+
+  /**
+   * Give an HD private key dispose() and wipe() methods
+   * Disposing zeroes the private key bytes held by the key; any later access
+   * throws a DisposedError. Keys derived from it with deriveChild() are plain
+   * bsv keys and are not wiped with it. Both render redacted under
+   * util.inspect and JSON.stringify, the key also once disposed.
+   * @param {HDPrivateKey} hdPrivateKey - Key to wrap
+   * @returns {HDPrivateKey}
+   * @private
+   */
+  static _disposableKey(hdPrivateKey) {
+    redact(hdPrivateKey)
+    let disposed = false
+    const dispose = () => {
+      if (disposed) return
+      disposed = true
+      // The chain code is shared with the HD public key and is left intact
+      hdPrivateKey._buffers.privateKey.fill(0)
+      hdPrivateKey._buffers.xprivkey.fill(0)
+      hdPrivateKey.privateKey.bn.words.fill(0)
+    }
+
+    return new Proxy(hdPrivateKey, {
+      get(target, property) {
+        if (property === 'dispose' || property === 'wipe') return dispose
+        if (property === 'isDisposed') return disposed
+        if (property === 'toJSON' || property === 'inspect' || property === util.inspect.custom) {
+          return target[property].bind(target)
+        }
+        if (disposed) throw new SecureBuffer.DisposedError()
+        return Reflect.get(target, property)
+      }
+    })
+  }
+
   /**
    * Calculate entropy checksum
    * @param {Buffer} entropy - Entropy buffer
@@ -259,14 +1170,95 @@ class Mnemonic {
       .update(entropy)
       .digest()
 
-    const bits = entropy.length * 8
-    const cs = bits / 32
+    let bits = ''
+    for (let i = 0; i < Mnemonic._checksumLength(entropy); i++) {
+      bits += Mnemonic._readBits(hash, i, 1)
+    }
+    return bits
+  }
+
+  /**
+   * Numeric form of Mnemonic._entropyChecksum
+   * BIP39 checksums are at most 8 bits, so they come from the first hash byte.
+   * @param {Buffer} entropy - Entropy buffer
+   * @param {number} checksumBits - Checksum length in bits
+   * @returns {number}
+   * @private
+   */
+  static _checksum(entropy, checksumBits) {
+    return createHash('sha256').update(entropy).digest()[0] >>> (8 - checksumBits)
+  }
+
+  /**
+   * Checksum length of an entropy buffer: one bit per 32 entropy bits
+   * @param {Buffer} entropy - Entropy buffer
+   * @returns {number} bits, at most the 256 bits of the hash
+   * @private
+   */
+  static _checksumLength(entropy) {
+    return Math.min(Math.floor(entropy.length / 4), 256)
+  }
+
+  /**
+   * Read a big-endian unsigned integer of up to 31 bits at a bit offset
+   * Bits past the end of the buffer read as zero.
+   * @param {Buffer} buffer - Buffer to read from
+   * @param {number} offset - Offset in bits
+   * @param {number} length - Number of bits
+   * @returns {number}
+   * @private
+   */
+  static _readBits(buffer, offset, length) {
+    let value = 0
+    for (let i = offset; i < offset + length; i++) {
+      const byte = buffer[i >> 3] || 0
+      value = (value << 1) | ((byte >> (7 - (i & 7))) & 1)
+    }
+    return value
+  }
 
-    return hash.toString('hex')
-      .match(/.{1,2}/g)
-      .map(byte => parseInt(byte, 16).toString(2).padStart(8, '0'))
-      .join('')
-      .slice(0, cs)
+  /**
+   * Write the entropy bits of 11-bit word indexes into a buffer
+   * Bits that do not fit the buffer, such as the checksum, are dropped.
+   * @param {Array<number>} indices - Word indexes
+   * @param {Buffer} entropy - Buffer receiving the entropy bytes
+   * @private
+   */
+  static _packEntropy(indices, entropy) {
+    let acc = 0
+    let accBits = 0
+    let pos = 0
+    for (let i = 0; i < indices.length && pos < entropy.length; i++) {
+      acc = (acc << 11) | indices[i]
+      accBits += 11
+      while (accBits >= 8 && pos < entropy.length) {
+        accBits -= 8
+        entropy[pos++] = (acc >>> accBits) & 0xff
+      }
+      acc &= (1 << accBits) - 1
+    }
+  }
+
+  /**
+   * Map each word of a wordlist to its index
+   * Maps of frozen lists, which includes every shipped and registered list,
+   * are cached. A word listed twice maps to its first index, like indexOf.
+   * @param {Array} wordlist - Wordlist to index
+   * @returns {Map<string, number>}
+   * @private
+   */
+  static _wordIndexes(wordlist) {
+    let indexes = wordIndexCache.get(wordlist)
+    if (!indexes) {
+      indexes = new Map()
+      wordlist.forEach((word, index) => {
+        if (!indexes.has(word)) indexes.set(word, index)
+      })
+      if (Object.isFrozen(wordlist)) {
+        wordIndexCache.set(wordlist, indexes)
+      }
+    }
+    return indexes
   }
 
   /**
@@ -280,30 +1272,182 @@ class Mnemonic {
     preconditions.checkArgument(typeof mnemonic === 'string', 'Mnemonic must be a string')
     preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
     
+    const indexes = Mnemonic._wordIndexes(wordlist)
+    const words = unorm.nfkd(mnemonic).split(' ')
+    return words.every(word => indexes.has(word))
+  }
+
+  /**
+   * List every wordlist containing all words of a mnemonic
+   * @param {string} mnemonic - Mnemonic string
+   * @returns {Array} wordlists, in Mnemonic.Words order
+   * @private
+   */
+  static _getDictionaries(mnemonic) {
+    if (!mnemonic) return []
+
+    // Normalized once rather than once per list
     const words = unorm.nfkd(mnemonic).split(' ')
-    return words.every(word => wordlist.indexOf(word) >= 0)
+    return Object.keys(Mnemonic.Words)
+      .map(key => Mnemonic.Words[key])
+      .filter(wordlist => {
+        const indexes = Mnemonic._wordIndexes(wordlist)
+        return words.every(word => indexes.has(word))
+      })
   }
 
   /**
    * Detect wordlist from mnemonic
+   *
+   * Some phrases fit several lists: simplified and traditional Chinese share
+   * most characters, and English, French and Spanish share a few words.
+   * Candidates are narrowed to those under which the checksum holds. Lists
+   * that still remain are only interchangeable when they map the phrase to
+   * the same word indexes (and therefore the same entropy).
+   *
    * @param {string} mnemonic - Mnemonic string
    * @returns {Array|null}
+   * @throws {AmbiguousWordlistError} if valid candidates decode differently
    * @private
    */
   static _getDictionary(mnemonic) {
-    if (!mnemonic) return null
+    const candidates = Mnemonic._getDictionaries(mnemonic)
+    if (candidates.length <= 1) {
+      return candidates[0] || null
+    }
+
+    const valid = candidates.filter(wordlist => Mnemonic.isValid(mnemonic, wordlist))
+    if (valid.length === 0) {
+      // Let the caller report the checksum failure against the preferred list
+      return candidates[0]
+    }
 
-    const dicts = Object.keys(Mnemonic.Words)
-    for (const key of dicts) {
-      if (Mnemonic._belongsToWordlist(mnemonic, Mnemonic.Words[key])) {
-        return Mnemonic.Words[key]
+    const words = unorm.nfkd(mnemonic).split(' ')
+    const decodings = new Set(valid.map(wordlist => {
+      const indexes = Mnemonic._wordIndexes(wordlist)
+      return words.map(word => indexes.get(word)).join(',')
+    }))
+    if (decodings.size > 1) {
+      const names = valid.map(wordlist => Mnemonic._getWordlistName(wordlist))
+      throw new AmbiguousWordlistError(`Mnemonic is valid in several wordlists: ${names.join(', ')}`)
+    }
+    return valid[0]
+  }
+
+  /**
+   * Pick the wordlist containing most of the words, for reporting typos
+   * @param {Array<string>} words - Normalized words
+   * @returns {Array|null} null if no list contains any of the words
+   * @private
+   */
+  static _closestWordlist(words) {
+    let best = null
+    let bestCount = 0
+    for (const key of Object.keys(Mnemonic.Words)) {
+      const wordlist = Mnemonic.Words[key]
+      const indexes = Mnemonic._wordIndexes(wordlist)
+      const count = words.filter(word => indexes.has(word)).length
+      if (count > bestCount) {
+        best = wordlist
+        bestCount = count
       }
     }
-    return null
+    return best
+  }
+
+  /**
+   * @param {Array<string>} values - Values to check
+   * @returns {Array<string>} values occurring more than once, each listed once
+   * @private
+   */
+  static _duplicates(values) {
+    const seen = new Set()
+    const duplicates = new Set()
+    for (const value of values) {
+      if (seen.has(value)) duplicates.add(value)
+      seen.add(value)
+    }
+    return Array.from(duplicates)
+  }
+
+  /**
+   * Check that a word count has a BIP39 entropy length
+   * @param {number} wordCount - Number of words
+   * @returns {boolean}
+   * @private
+   */
+  static _isValidWordCount(wordCount) {
+    return Mnemonic.ENTROPY_LENGTHS.some(length => length * 3 / 4 === wordCount)
+  }
+
+  /**
+   * Get the Mnemonic.Words key of a wordlist
+   * @param {Array} wordlist - Wordlist to look up
+   * @returns {string|null}
+   * @private
+   */
+  static _getWordlistName(wordlist) {
+    const key = Object.keys(Mnemonic.Words).find(name => Mnemonic.Words[name] === wordlist)
+    return key || null
   }
 }
 
+// Valid BIP39 entropy lengths in bytes (12, 15, 18, 21 and 24 words)
+Mnemonic.ENTROPY_LENGTHS = Object.freeze([16, 20, 24, 28, 32])
+
+// BIP44 path constants for BSV
+Mnemonic.BIP44_PURPOSE = 44
+Mnemonic.BSV_COIN_TYPE = 236
+
 // Import wordlists
 Mnemonic.Words = require('./words')
 
+// Pinned SHA-256 fingerprints of the shipped wordlists
+Mnemonic.WORDLIST_FINGERPRINTS = FINGERPRINTS
+
+// Seed phrase schemes reported by Mnemonic.getSchemes
+Mnemonic.SCHEMES = Object.freeze({
+  BIP39: 'bip39',
+  ELECTRUM: 'electrum'
+})
+
+// SLIP-39 Shamir backups
+Mnemonic.Slip39 = require('./slip39')
+
+// Electrum v2 / ElectrumSV seed phrases
+Mnemonic.Electrum = require('./electrum')
+
+// Lenient parsing with prefix expansion and suggestions
+Mnemonic.Parser = require('./parser')
+
+// Recovery of backups with missing words
+Mnemonic.Recovery = require('./recovery')
+
+// Derivation conventions of BSV wallets, for restores
+Mnemonic.Profiles = require('./profiles')
+
+// Word-by-word phrase entry with last-word candidates
+Mnemonic.Input = require('./input')
+
+// Word indexes, four-digit codes and binary grids for metal plates
+Mnemonic.Numeric = require('./numeric')
+
+// User-supplied entropy
+Mnemonic.UserEntropy = require('./entropy')
+
+// BIP85 deterministic child entropy
+Mnemonic.Bip85 = require('./bip85')
+
+// Password-protected backups
+Mnemonic.Encryption = require('./encryption')
+
+// SeedQR transfer to and from hardware signers
+Mnemonic.SeedQR = require('./seedqr')
+
+// Printable recovery sheets
+Mnemonic.Paper = require('./paper')
+
+// Expose error types for instanceof checks
+Mnemonic.errors = require('./errors')
+
 module.exports = Mnemonic
@@ -0,0 +1,175 @@
+'use strict'
+
+const unorm = require('unorm')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// Custom error types
+const { InvalidMnemonicError, InvalidWordCountError } = require('./errors')
+
+// Bits per word index
+const INDEX_BITS = 11
+
+/**
+ * Numeric backup formats for steel plates and other word-free media.
+ *
+ * - Indexes: zero-based wordlist positions, 0 to 2047.
+ * - Codes: four-digit numbers, zero-based (0000-2047) or one-based
+ *   (0001-2048) as printed next to many published wordlists.
+ * - Binary grid: one row of 11 cells per word, most significant bit first,
+ *   where a punched cell is a one. Rows hold zero-based indexes, since 2048
+ *   does not fit 11 bits.
+ *
+ * Every parser rebuilds the phrase and checks it like new Mnemonic(), so a
+ * misread value surfaces as an out-of-range or checksum error.
+ */
+class NumericBackup {
+  /**
+   * @param {Mnemonic} mnemonic - Mnemonic to encode
+   * @returns {Array<number>} zero-based word indexes
+   */
+  static toIndices(mnemonic) {
+    const Mnemonic = require('./mnemonic')
+    const indexes = Mnemonic._wordIndexes(mnemonic.wordlist)
+    return unorm.nfkd(mnemonic.phrase).split(' ').map(word => indexes.get(word))
+  }
+
+  /**
+   * @param {Array<number>} indices - Zero-based word indexes
+   * @param {Array} wordlist - Wordlist to use, English by default
+   * @param {Object} options - allowInvalidChecksum for legacy phrases
+   * @returns {Mnemonic}
+   * @throws {InvalidMnemonicError} for out-of-range indexes or a bad checksum
+   */
+  static fromIndices(indices, wordlist, { allowInvalidChecksum = false } = {}) {
+    const Mnemonic = require('./mnemonic')
+    wordlist = wordlist || Mnemonic.Words.ENGLISH
+    preconditions.checkArgument(Array.isArray(indices), 'Indices must be an array')
+    preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
+    NumericBackup._checkWordCount(indices.length)
+
+    const words = indices.map((index, i) => {
+      if (!Number.isInteger(index) || index < 0 || index >= wordlist.length) {
+        throw new InvalidMnemonicError(
+          `Word index ${index} at position ${i + 1} is out of range 0-${wordlist.length - 1}`
+        )
+      }
+      return wordlist[index]
+    })
+    return new Mnemonic(Mnemonic._joinWords(words, wordlist), wordlist, { allowInvalidChecksum })
+  }
+
+  /**
+   * @param {Mnemonic} mnemonic - Mnemonic to encode
+   * @param {Object} options - Set oneBased for codes 0001-2048
+   * @returns {string} space separated four-digit codes
+   */
+  static toCodes(mnemonic, { oneBased = false } = {}) {
+    const offset = oneBased ? 1 : 0
+    return NumericBackup.toIndices(mnemonic)
+      .map(index => String(index + offset).padStart(4, '0'))
+      .join(' ')
+  }
+
+  /**
+   * Parse word codes
+   * Codes may be separated by whitespace, commas, dots or dashes, and may
+   * drop leading zeros. Unseparated input is read four digits at a time.
+   * @param {string} text - Codes as read from the backup
+   * @param {Object} options
+   * @param {boolean} options.oneBased - Codes run 0001-2048
+   * @param {Array} options.wordlist - Wordlist to use, English by default
+   * @param {boolean} options.allowInvalidChecksum - Accept legacy phrases
+   * @returns {Mnemonic}
+   * @throws {InvalidMnemonicError} for malformed or out-of-range codes or a bad checksum
+   */
+  static fromCodes(text, { oneBased = false, wordlist, allowInvalidChecksum = false } = {}) {
+    preconditions.checkArgument(typeof text === 'string', 'Codes must be a string')
+    const Mnemonic = require('./mnemonic')
+    wordlist = wordlist || Mnemonic.Words.ENGLISH
+
+    let codes = text.trim().split(/[\s,.-]+/).filter(code => code.length > 0)
+    if (codes.length === 1 && codes[0].length > 4 && codes[0].length % 4 === 0) {
+      codes = codes[0].match(/.{4}/g)
+    }
+    NumericBackup._checkWordCount(codes.length)
+
+    const offset = oneBased ? 1 : 0
+    const indices = codes.map((code, i) => {
+      if (!/^\d{1,4}$/.test(code)) {
+        throw new InvalidMnemonicError(`Word code "${code}" at position ${i + 1} is not a number of up to four digits`)
+      }
+      const value = parseInt(code, 10)
+      if (value < offset || value >= wordlist.length + offset) {
+        throw new InvalidMnemonicError(
+          `Word code ${code} at position ${i + 1} is out of range ${offset}-${wordlist.length - 1 + offset}`
+        )
+      }
+      return value - offset
+    })
+    return NumericBackup.fromIndices(indices, wordlist, { allowInvalidChecksum })
+  }
+
+  /**
+   * @param {Mnemonic} mnemonic - Mnemonic to encode
+   * @param {Object} options - Cell symbols one and zero, '1' and '0' by default
+   * @returns {Array<string>} one row of 11 cells per word
+   */
+  static toBinaryGrid(mnemonic, { one = '1', zero = '0' } = {}) {
+    return NumericBackup.toIndices(mnemonic).map(index => {
+      return index.toString(2).padStart(INDEX_BITS, '0').replace(/[01]/g, bit => bit === '1' ? one : zero)
+    })
+  }
+
+  /**
+   * Parse a binary grid
+   * Whitespace inside rows is ignored, so cells may be grouped.
+   * @param {string|Array<string>} grid - Rows, or text with one row per line
+   * @param {Object} options
+   * @param {string} options.one - Symbol of a punched cell, '1' by default
+   * @param {string} options.zero - Symbol of an empty cell, '0' by default
+   * @param {Array} options.wordlist - Wordlist to use, English by default
+   * @param {boolean} options.allowInvalidChecksum - Accept legacy phrases
+   * @returns {Mnemonic}
+   * @throws {InvalidMnemonicError} for malformed rows or a bad checksum
+   */
+  static fromBinaryGrid(grid, { one = '1', zero = '0', wordlist, allowInvalidChecksum = false } = {}) {
+    if (typeof grid === 'string') {
+      grid = grid.split(/\r?\n/)
+    }
+    preconditions.checkArgument(Array.isArray(grid), 'Grid must be a string or an array of rows')
+    preconditions.checkArgument(Array.from(one).length === 1 && Array.from(zero).length === 1 && one !== zero,
+      'Cell symbols must be two different characters')
+
+    const rows = grid.map(row => Array.from(String(row).replace(/\s+/g, ''))).filter(cells => cells.length > 0)
+    NumericBackup._checkWordCount(rows.length)
+
+    const indices = rows.map((cells, i) => {
+      if (cells.length !== INDEX_BITS) {
+        throw new InvalidMnemonicError(`Row ${i + 1} has ${cells.length} cells, expected ${INDEX_BITS}`)
+      }
+      return cells.reduce((value, cell) => {
+        if (cell !== one && cell !== zero) {
+          throw new InvalidMnemonicError(`Row ${i + 1} has an unknown cell "${cell}"`)
+        }
+        return (value << 1) | (cell === one ? 1 : 0)
+      }, 0)
+    })
+    return NumericBackup.fromIndices(indices, wordlist, { allowInvalidChecksum })
+  }
+
+  /**
+   * @param {number} wordCount - Number of words read
+   * @throws {InvalidWordCountError}
+   * @private
+   */
+  static _checkWordCount(wordCount) {
+    const Mnemonic = require('./mnemonic')
+    if (!Mnemonic._isValidWordCount(wordCount)) {
+      throw new InvalidWordCountError(wordCount, Mnemonic.ENTROPY_LENGTHS.map(length => length * 3 / 4))
+    }
+  }
+}
+
+module.exports = NumericBackup
@@ -0,0 +1,153 @@
+'use strict'
+
+const unorm = require('unorm')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// Custom error types
+const { UnknownWordlistError } = require('./errors')
+
+// Blank fields filled in by hand once the sheet has been checked
+const VERIFICATION_FIELDS = Object.freeze([
+  'Written by',
+  'Verified by',
+  'Date',
+  'Fingerprint after test restore',
+  'Storage location'
+])
+
+// Words per row of the grid
+const COLUMNS = 3
+
+// Inline styles only; the sheet must render with no network access
+const STYLE = `
+  @page { size: A4; margin: 15mm }
+  * { box-sizing: border-box }
+  body { font-family: sans-serif; color: #000; background: #fff; margin: 0 auto; max-width: 180mm }
+  h1 { font-size: 18pt; margin: 0 0 2mm }
+  .label { font-size: 12pt; margin: 0 0 4mm }
+  .warning { border: 1pt solid #000; padding: 2mm 3mm; font-size: 9pt; margin: 0 0 5mm }
+  .words { display: grid; grid-template-columns: repeat(${COLUMNS}, 1fr); gap: 2mm; margin: 0 0 5mm; padding: 0; list-style: none }
+  .words li { border: 0.75pt solid #000; padding: 2mm 3mm; font: 13pt monospace; break-inside: avoid }
+  .words .n { display: inline-block; min-width: 8mm; color: #444; font-size: 10pt }
+  table { border-collapse: collapse; width: 100%; margin: 0 0 5mm; font-size: 10pt }
+  th { text-align: left; font-weight: normal; color: #444; width: 55mm; padding: 1.5mm 0; vertical-align: top }
+  td { padding: 1.5mm 0; font-family: monospace }
+  .fields td { border-bottom: 0.75pt solid #000; height: 9mm }
+  .qr { break-inside: avoid; margin: 0 0 5mm }
+  .qr svg { width: 45mm; height: 45mm; display: block }
+  .qr p { font-size: 9pt; margin: 1mm 0 0 }
+`
+
+/**
+ * Printable recovery sheets.
+ *
+ * Renders a mnemonic into a single self-contained HTML document: a numbered
+ * word grid, the wordlist name, the BIP32 master fingerprint with its
+ * three-word id, an optional SeedQR and blank fields for the people who
+ * write and check the sheet. Styles and the QR code are inline and a
+ * Content-Security-Policy forbids every fetch, so the sheet renders offline.
+ *
+ * The returned string holds the phrase in plain text and cannot be wiped;
+ * write it straight to the printer or an offline medium.
+ */
+class PaperBackup {
+  /**
+   * Render a recovery sheet
+   * @param {Mnemonic} mnemonic - Mnemonic to back up
+   * @param {Object} options
+   * @param {string} options.title - Sheet heading, 'Recovery Sheet' by default
+   * @param {string} options.label - Wallet or client name printed under the heading
+   * @param {string} options.passphrase - Passphrase of the wallet; only its
+   *   fingerprint is printed
+   * @param {boolean|string} options.seedQR - true for a SeedQR, 'compact' for
+   *   a CompactSeedQR (English 12 or 24 word phrases only)
+   * @returns {string} HTML document
+   * @throws {UnknownWordlistError} if the wordlist has no name to print
+   */
+  static toHTML(mnemonic, { title = 'Recovery Sheet', label, passphrase = '', seedQR = false } = {}) {
+    const Mnemonic = require('./mnemonic')
+    preconditions.checkArgument(typeof title === 'string', 'Title must be a string')
+    preconditions.checkArgument(label === undefined || typeof label === 'string', 'Label must be a string')
+    preconditions.checkArgument(seedQR === true || seedQR === false || seedQR === 'compact',
+      'seedQR must be true, false or \'compact\'')
+
+    const wordlist = Mnemonic._getWordlistName(mnemonic.wordlist)
+    if (!wordlist) {
+      throw new UnknownWordlistError('Only mnemonics with a named wordlist can be printed')
+    }
+    const words = unorm.nfkd(mnemonic.phrase).split(' ').map(word => unorm.nfkc(word))
+    const { fingerprint, id } = mnemonic.fingerprint(passphrase)
+    const escape = PaperBackup._escape
+
+    const details = [
+      ['Wordlist', `BIP39 ${wordlist}`],
+      ['Words', String(words.length)],
+      ['Passphrase', passphrase ? 'Yes, not printed here' : 'None'],
+      ['Master fingerprint', `${fingerprint.toUpperCase()} (${id})`]
+    ]
+    if (!mnemonic.isStandard) {
+      details.push(['Checksum', 'Non-standard legacy phrase; restore with a wallet that accepts it'])
+    }
+
+    const html = [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta http-equiv="Content-Security-Policy" content="default-src \'none\'; style-src \'unsafe-inline\'">',
+      '<meta name="robots" content="noindex">',
+      `<title>${escape(title)}</title>`,
+      `<style>${STYLE}</style>`,
+      '</head>',
+      '<body>',
+      `<h1>${escape(title)}</h1>`
+    ]
+    if (label) {
+      html.push(`<p class="label">${escape(label)}</p>`)
+    }
+    html.push(
+      '<p class="warning">Anyone holding these words controls the funds. Keep this sheet offline, ' +
+        'never photograph or type it into a website, and store it where only you can reach it.</p>',
+      '<ol class="words">',
+      ...words.map((word, i) => `<li><span class="n">${i + 1}.</span>${escape(word)}</li>`),
+      '</ol>',
+      '<table class="details">',
+      ...details.map(([name, value]) => `<tr><th>${escape(name)}</th><td>${escape(value)}</td></tr>`),
+      '</table>'
+    )
+    if (seedQR) {
+      const compact = seedQR === 'compact'
+      const svg = Mnemonic.SeedQR.toQRCode(mnemonic, { compact }).toSVG({ scale: 4 })
+      html.push(
+        '<div class="qr">',
+        svg,
+        `<p>${compact ? 'CompactSeedQR' : 'SeedQR'}: scan only with an offline signing device</p>`,
+        '</div>'
+      )
+    }
+    html.push(
+      '<table class="fields">',
+      ...VERIFICATION_FIELDS.map(name => `<tr><th>${escape(name)}</th><td></td></tr>`),
+      '</table>',
+      '</body>',
+      '</html>',
+      ''
+    )
+    return html.join('\n')
+  }
+
+  /**
+   * @param {string} text - Text to place in HTML content or attributes
+   * @returns {string}
+   * @private
+   */
+  static _escape(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+  }
+}
+
+PaperBackup.VERIFICATION_FIELDS = VERIFICATION_FIELDS
+
+module.exports = PaperBackup
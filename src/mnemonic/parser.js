@@ -0,0 +1,188 @@
+'use strict'
+
+const unorm = require('unorm')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+/**
+ * Lenient phrase parsing for restore flows.
+ *
+ * Each typed token is resolved against a wordlist: exact matches are kept,
+ * tokens that prefix exactly one word are expanded (BIP39 English words are
+ * unique by their first four letters), and anything else gets the closest
+ * words by edit distance as suggestions.
+ */
+class MnemonicParser {
+  /**
+   * Parse user input into a per-position report
+   * @param {string} input - Phrase as typed by the user
+   * @param {Object} options
+   * @param {Array} options.wordlist - Wordlist to resolve against; by default
+   *   the list resolving the most tokens
+   * @param {number} options.maxSuggestions - Suggestions per unresolved word
+   * @param {number} options.maxDistance - Largest edit distance to suggest
+   * @returns {Object} { wordlist, words, phrase, complete, valid }
+   */
+  static parse(input, { wordlist, maxSuggestions = 3, maxDistance = 2 } = {}) {
+    preconditions.checkArgument(typeof input === 'string', 'Input must be a string')
+    const Mnemonic = require('./mnemonic')
+
+    const tokens = MnemonicParser.tokenize(input)
+    if (!wordlist) {
+      wordlist = MnemonicParser._bestWordlist(tokens, Mnemonic.Words)
+    }
+    preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
+
+    const words = tokens.map((token, position) => {
+      return Object.assign({ position, input: token }, MnemonicParser.resolve(token, wordlist, {
+        maxSuggestions,
+        maxDistance
+      }))
+    })
+
+    const complete = words.length > 0 && words.every(word => word.word !== null)
+    const phrase = complete ? Mnemonic._joinWords(words.map(word => word.word), wordlist) : null
+    return {
+      wordlist,
+      words,
+      phrase,
+      complete,
+      valid: complete && Mnemonic.isValid(phrase, wordlist)
+    }
+  }
+
+  /**
+   * Resolve a single token against a wordlist
+   * @param {string} token - Normalized token
+   * @param {Array} wordlist - Wordlist to use
+   * @param {Object} options - maxSuggestions and maxDistance
+   * @returns {Object} { status, word, suggestions }
+   */
+  static resolve(token, wordlist, { maxSuggestions = 3, maxDistance = 2 } = {}) {
+    const STATUS = MnemonicParser.STATUS
+
+    if (require('./mnemonic')._wordIndexes(wordlist).has(token)) {
+      return { status: STATUS.EXACT, word: token, suggestions: [] }
+    }
+
+    const completions = MnemonicParser.complete(token, wordlist)
+    if (completions.length === 1) {
+      return { status: STATUS.EXPANDED, word: completions[0], suggestions: [] }
+    }
+    if (completions.length > 1) {
+      return { status: STATUS.AMBIGUOUS, word: null, suggestions: completions.slice(0, maxSuggestions) }
+    }
+
+    return {
+      status: STATUS.UNKNOWN,
+      word: null,
+      suggestions: MnemonicParser.suggest(token, wordlist, { maxSuggestions, maxDistance })
+    }
+  }
+
+  /**
+   * List the words starting with a prefix
+   * @param {string} prefix - Normalized prefix
+   * @param {Array} wordlist - Wordlist to use
+   * @returns {Array<string>} matching words in wordlist order
+   */
+  static complete(prefix, wordlist) {
+    if (!prefix) return []
+    return wordlist.filter(word => word.startsWith(prefix))
+  }
+
+  /**
+   * Find the words closest to a token by edit distance
+   * Ties are broken by wordlist order.
+   * @param {string} token - Normalized token
+   * @param {Array} wordlist - Wordlist to use
+   * @param {Object} options - maxSuggestions and maxDistance
+   * @returns {Array<string>}
+   */
+  static suggest(token, wordlist, { maxSuggestions = 3, maxDistance = 2 } = {}) {
+    return wordlist
+      .map((word, index) => ({ word, index, distance: MnemonicParser._editDistance(token, word, maxDistance) }))
+      .filter(candidate => candidate.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || a.index - b.index)
+      .slice(0, maxSuggestions)
+      .map(candidate => candidate.word)
+  }
+
+  /**
+   * Split input into normalized lower case tokens
+   * @param {string} input - Raw input
+   * @returns {Array<string>}
+   */
+  static tokenize(input) {
+    const normalized = unorm.nfkd(input).toLowerCase().trim()
+    return normalized ? normalized.split(/\s+/) : []
+  }
+
+  /**
+   * Pick the wordlist that resolves the most tokens, earlier lists first
+   * @param {Array<string>} tokens - Normalized tokens
+   * @param {Object} words - Wordlists keyed by name
+   * @returns {Array}
+   * @private
+   */
+  static _bestWordlist(tokens, words) {
+    const Mnemonic = require('./mnemonic')
+    let best = words.ENGLISH
+    let bestScore = -1
+    for (const key of Object.keys(words)) {
+      const wordlist = words[key]
+      const indexes = Mnemonic._wordIndexes(wordlist)
+      const score = tokens.filter(token => {
+        return indexes.has(token) || MnemonicParser.complete(token, wordlist).length === 1
+      }).length
+      if (score > bestScore) {
+        best = wordlist
+        bestScore = score
+      }
+    }
+    return best
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+   * Returns limit + 1 without computing when the lengths alone exceed limit.
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} limit - Largest distance of interest
+   * @returns {number}
+   * @private
+   */
+  static _editDistance(a, b, limit = Infinity) {
+    if (Math.abs(a.length - b.length) > limit) {
+      return limit + 1
+    }
+
+    let prevPrev = null
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i]
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1
+        let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost)
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prevPrev[j - 2] + 1)
+        }
+        row.push(value)
+      }
+      prevPrev = prev
+      prev = row
+    }
+    return prev[b.length]
+  }
+}
+
+// Resolution status of each parsed word
+MnemonicParser.STATUS = Object.freeze({
+  EXACT: 'exact',
+  EXPANDED: 'expanded',
+  AMBIGUOUS: 'ambiguous',
+  UNKNOWN: 'unknown'
+})
+
+module.exports = MnemonicParser
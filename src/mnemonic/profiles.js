@@ -0,0 +1,165 @@
+'use strict'
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// How a profile uses the passphrase: not at all, as an optional BIP39 or
+// Electrum extension, or as the wallet PIN
+const PASSPHRASE = Object.freeze({
+  NONE: 'none',
+  OPTIONAL: 'optional',
+  PIN: 'pin'
+})
+
+const profile = (name, scheme, path, passphrase) => Object.freeze({ name, scheme, path, passphrase })
+
+// Account paths; receiving addresses are at <path>/0/i
+const PROFILES = Object.freeze({
+  BIP44_BSV: profile("BIP44 BSV (m/44'/236'/0')", 'bip39', "m/44'/236'/0'", PASSPHRASE.OPTIONAL),
+  BIP44_BTC: profile("BIP44 Bitcoin coin type (m/44'/0'/0')", 'bip39', "m/44'/0'/0'", PASSPHRASE.OPTIONAL),
+  BIP32_HARDENED: profile("BIP32 hardened account (m/0')", 'bip39', "m/0'", PASSPHRASE.OPTIONAL),
+  ELECTRUMSV: profile('ElectrumSV (Electrum seed)', 'electrum', 'm', PASSPHRASE.OPTIONAL),
+  ELECTRUMSV_BIP39: profile('ElectrumSV (BIP39 seed)', 'bip39', "m/44'/0'/0'", PASSPHRASE.OPTIONAL),
+  RELAYX: profile('RelayX', 'bip39', "m/44'/236'/0'", PASSPHRASE.NONE),
+  CENTBEE: profile('Centbee (PIN as passphrase)', 'bip39', "m/44'/236'/0'", PASSPHRASE.PIN)
+})
+
+/**
+ * Derivation conventions of BSV wallets, for restoring a phrase whose
+ * origin is unknown.
+ *
+ * A profile names the seed scheme (BIP39 or Electrum), the account path and
+ * how the wallet used a passphrase. Several wallets share a path; they are
+ * listed separately so a user can pick the wallet they remember. Profiles
+ * derive receiving addresses only, from the account public key.
+ */
+class WalletProfiles {
+  /**
+   * First receiving addresses of one profile
+   * @param {string|Mnemonic} mnemonic - Phrase, or a Mnemonic (needed for
+   *   legacy phrases imported with allowInvalidChecksum)
+   * @param {string} id - Key of WalletProfiles.PROFILES
+   * @param {Object} options
+   * @param {number} options.count - Number of addresses, 5 by default
+   * @param {string} options.passphrase - Passphrase for OPTIONAL profiles
+   * @param {string} options.pin - Wallet PIN for PIN profiles
+   * @param {string|Network} options.network - livenet (default), testnet or stn
+   * @returns {Object} { id, name, scheme, path, addresses: [{ path, address }] }
+   * @throws {InvalidMnemonicError} if the phrase does not fit the profile's scheme
+   */
+  static deriveAddresses(mnemonic, id, { count = 5, passphrase = '', pin, network = 'livenet' } = {}) {
+    const Mnemonic = require('./mnemonic')
+    const { name, scheme, path } = WalletProfiles._get(id)
+    preconditions.checkArgument(Number.isInteger(count) && count > 0, 'Count must be a positive integer')
+
+    const master = WalletProfiles._masterKey(Mnemonic, mnemonic, scheme, WalletProfiles._passphrase(id, passphrase, pin), network)
+    let receiving
+    try {
+      const account = path === 'm' ? master : Mnemonic._disposableKey(master.deriveChild(path))
+      try {
+        receiving = account.hdPublicKey.deriveChild(0)
+      } finally {
+        account.dispose()
+      }
+    } finally {
+      master.dispose()
+    }
+
+    const addresses = []
+    for (let i = 0; i < count; i++) {
+      addresses.push({
+        path: `${path}/0/${i}`,
+        address: receiving.deriveChild(i).publicKey.toAddress(Mnemonic._getNetwork(network)).toString()
+      })
+    }
+    return { id, name, scheme, path, addresses }
+  }
+
+  /**
+   * First receiving addresses of every profile the phrase fits
+   * Profiles are skipped, with a reason, when the phrase is not valid under
+   * their scheme or when they need a PIN that was not given.
+   * @param {string|Mnemonic} mnemonic - Phrase or Mnemonic
+   * @param {Object} options - count, passphrase, pin and network, as for deriveAddresses
+   * @returns {Array<Object>} one entry per profile, with addresses or skipped
+   */
+  static scan(mnemonic, options = {}) {
+    const Mnemonic = require('./mnemonic')
+    const phrase = typeof mnemonic === 'string' ? mnemonic : mnemonic.phrase
+    const schemes = mnemonic instanceof Mnemonic
+      ? [Mnemonic.SCHEMES.BIP39].concat(Mnemonic.Electrum.isValid(phrase) ? [Mnemonic.SCHEMES.ELECTRUM] : [])
+      : Mnemonic.getSchemes(phrase)
+
+    return Object.keys(PROFILES).map(id => {
+      const { name, scheme, path, passphrase } = PROFILES[id]
+      if (schemes.indexOf(scheme) < 0) {
+        return { id, name, scheme, path, skipped: `Not a valid ${scheme === 'bip39' ? 'BIP39' : 'Electrum'} phrase` }
+      }
+      if (passphrase === PASSPHRASE.PIN && options.pin === undefined) {
+        return { id, name, scheme, path, skipped: 'PIN required' }
+      }
+      return WalletProfiles.deriveAddresses(mnemonic, id, options)
+    })
+  }
+
+  /**
+   * @param {string} id - Profile key
+   * @returns {Object} the profile
+   * @private
+   */
+  static _get(id) {
+    preconditions.checkArgument(Object.prototype.hasOwnProperty.call(PROFILES, id), `Unknown wallet profile: ${id}`)
+    return PROFILES[id]
+  }
+
+  /**
+   * The passphrase a profile's wallet would have used
+   * @param {string} id - Profile key
+   * @param {string} passphrase - Passphrase given by the user
+   * @param {string} pin - PIN given by the user
+   * @returns {string}
+   * @private
+   */
+  static _passphrase(id, passphrase, pin) {
+    switch (PROFILES[id].passphrase) {
+      case PASSPHRASE.PIN:
+        preconditions.checkArgument(typeof pin === 'string' && /^\d+$/.test(pin),
+          `${PROFILES[id].name} needs the wallet PIN as a string of digits`)
+        return pin
+      case PASSPHRASE.NONE:
+        return ''
+      default:
+        return passphrase
+    }
+  }
+
+  /**
+   * @param {Function} Mnemonic - Mnemonic class
+   * @param {string|Mnemonic} mnemonic - Phrase or Mnemonic
+   * @param {string} scheme - bip39 or electrum
+   * @param {string} passphrase - Passphrase or PIN
+   * @param {string|Network} network - Network of the key
+   * @returns {HDPrivateKey} disposable master key
+   * @private
+   */
+  static _masterKey(Mnemonic, mnemonic, scheme, passphrase, network) {
+    const phrase = typeof mnemonic === 'string' ? mnemonic : mnemonic.phrase
+    if (scheme === Mnemonic.SCHEMES.ELECTRUM) {
+      return Mnemonic.Electrum.toHDPrivateKey(phrase, passphrase, network)
+    }
+    if (mnemonic instanceof Mnemonic) {
+      return mnemonic.toHDPrivateKey(passphrase, network)
+    }
+    const parsed = new Mnemonic(phrase)
+    try {
+      return parsed.toHDPrivateKey(passphrase, network)
+    } finally {
+      parsed.dispose()
+    }
+  }
+}
+
+WalletProfiles.PROFILES = PROFILES
+WalletProfiles.PASSPHRASE = PASSPHRASE
+
+module.exports = WalletProfiles
@@ -0,0 +1,275 @@
+'use strict'
+
+const bsv = require('bsv')
+const BN = require('bn.js')
+const unorm = require('unorm')
+const { Buffer } = require('buffer')
+const { createECDH, createHmac } = require('crypto')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// Custom error types
+const { InvalidWordCountError, UnknownWordError } = require('./errors')
+
+// Tokens that mark a position as unknown in string input
+const UNKNOWN_TOKENS = ['?', '_', '*']
+
+// BIP32 constants: first hardened index and the secp256k1 group order
+const HARDENED = 0x80000000
+const CURVE_ORDER = new BN('fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141', 16)
+
+/**
+ * Recovery of damaged backups with missing or uncertain words.
+ *
+ * Every combination of the candidate words is checked against the BIP39
+ * checksum. When the last word is unknown only its entropy bits are
+ * enumerated and the checksum bits are computed, which cuts the search by
+ * 16x for 12-word phrases. Checksum-valid phrases can be narrowed further by
+ * deriving a known address or extended public key from each of them. That
+ * costs a seed and a BIP32 derivation per phrase, so long searches should
+ * report progress and may be stopped from onProgress.
+ */
+class MnemonicRecovery {
+  /**
+   * List every checksum-valid phrase matching a damaged backup
+   * @param {string|Array} words - Phrase with unknown positions. As a string,
+   *   '?' marks an unknown word. As an array, each entry is a word, null for
+   *   an unknown word, or an array of candidate words for an unsure position.
+   * @param {Object} options
+   * @param {Array} options.wordlist - Wordlist to use (English by default)
+   * @param {string|Address} options.address - Only keep phrases deriving this address
+   * @param {Array<string>} options.paths - Paths searched for options.address,
+   *   the first BSV receiving address by default
+   * @param {string|HDPublicKey} options.xpub - Only keep phrases deriving this key
+   * @param {string} options.xpubPath - Path of options.xpub, "m" for depth 0 keys
+   *   and the BSV account path otherwise
+   * @param {string} options.passphrase - BIP39 passphrase used for derivation
+   * @param {Function} options.onProgress - Called with { checked, total, found };
+   *   returning false stops the search with the phrases found so far
+   * @param {number} options.progressInterval - Combinations between progress calls,
+   *   a positive integer
+   * @param {number} options.limit - Stop after this many matches
+   * @returns {Array<string>} matching phrases
+   */
+  static recover(words, {
+    wordlist,
+    address,
+    paths,
+    xpub,
+    xpubPath,
+    passphrase = '',
+    onProgress,
+    progressInterval = 1 << 16,
+    limit = Infinity
+  } = {}) {
+    const Mnemonic = require('./mnemonic')
+    wordlist = wordlist || Mnemonic.Words.ENGLISH
+    preconditions.checkArgument(Array.isArray(wordlist), 'Wordlist must be an array')
+    preconditions.checkArgument(!onProgress || typeof onProgress === 'function', 'onProgress must be a function')
+    preconditions.checkArgument(Number.isInteger(progressInterval) && progressInterval > 0,
+      'progressInterval must be a positive integer')
+
+    const positions = MnemonicRecovery._resolvePositions(words, wordlist)
+    const wordCount = positions.length
+    if (!Mnemonic._isValidWordCount(wordCount)) {
+      throw new InvalidWordCountError(wordCount, Mnemonic.ENTROPY_LENGTHS.map(length => length * 3 / 4))
+    }
+
+    const filter = MnemonicRecovery._derivationFilter(Mnemonic, { address, paths, xpub, xpubPath, passphrase })
+    const checksumBits = wordCount / 3
+    const entropy = Buffer.alloc(wordCount * 4 / 3)
+    const last = wordCount - 1
+
+    // An unknown last word is enumerated by its entropy bits only
+    const solveLast = positions[last] === null
+    const radices = positions.map((candidates, i) => {
+      if (i === last && solveLast) return 1 << (11 - checksumBits)
+      return candidates === null ? 2048 : candidates.length
+    })
+    const total = radices.reduce((product, radix) => product * radix, 1)
+
+    const found = []
+    const counters = new Array(wordCount).fill(0)
+    const indices = new Array(wordCount)
+    let checked = 0
+
+    while (checked < total && found.length < limit) {
+      for (let i = 0; i < wordCount; i++) {
+        const candidates = positions[i]
+        indices[i] = candidates === null ? counters[i] : candidates[counters[i]]
+      }
+      if (solveLast) {
+        indices[last] = counters[last] << checksumBits
+      }
+
+      Mnemonic._packEntropy(indices, entropy)
+      const checksum = Mnemonic._checksum(entropy, checksumBits)
+      const lastIndex = solveLast ? indices[last] | checksum : indices[last]
+      if ((lastIndex & ((1 << checksumBits) - 1)) === checksum) {
+        indices[last] = lastIndex
+        const phrase = Mnemonic._joinWords(indices.map(index => wordlist[index]), wordlist)
+        if (!filter || filter(phrase)) {
+          found.push(phrase)
+        }
+      }
+
+      checked++
+      if (onProgress && checked % progressInterval === 0) {
+        if (onProgress({ checked, total, found: found.length }) === false) {
+          return found
+        }
+      }
+
+      // Advance the mixed-radix counter, last position fastest
+      for (let i = last; i >= 0; i--) {
+        if (++counters[i] < radices[i]) break
+        counters[i] = 0
+      }
+    }
+
+    if (onProgress) {
+      onProgress({ checked, total, found: found.length })
+    }
+    return found
+  }
+
+  /**
+   * Turn the damaged phrase into candidate word indexes per position
+   * @param {string|Array} words - See MnemonicRecovery.recover
+   * @param {Array} wordlist - Wordlist to use
+   * @returns {Array<Array<number>|null>} null where every word is possible
+   * @private
+   */
+  static _resolvePositions(words, wordlist) {
+    if (typeof words === 'string') {
+      words = unorm.nfkd(words).trim().split(/\s+/)
+        .map(word => UNKNOWN_TOKENS.indexOf(word) >= 0 ? null : word)
+    }
+    preconditions.checkArgument(Array.isArray(words), 'Words must be a string or an array')
+
+    const indexes = require('./mnemonic')._wordIndexes(wordlist)
+    return words.map((entry, position) => {
+      const indexOf = word => {
+        const index = indexes.get(unorm.nfkd(word))
+        if (index === undefined) {
+          throw new UnknownWordError(word, position)
+        }
+        return index
+      }
+
+      if (entry === null || entry === undefined) return null
+      if (Array.isArray(entry)) {
+        preconditions.checkArgument(entry.length > 0, 'Candidate lists must not be empty')
+        return Array.from(new Set(entry.map(indexOf)))
+      }
+      return [indexOf(entry)]
+    })
+  }
+
+  /**
+   * Build a predicate checking a phrase against a known address or xpub
+   * @param {Function} Mnemonic - Mnemonic class
+   * @param {Object} options - address, paths, xpub, xpubPath and passphrase
+   * @returns {Function|null} null when there is nothing to check
+   * @private
+   */
+  static _derivationFilter(Mnemonic, { address, paths, xpub, xpubPath, passphrase }) {
+    if (!address && !xpub) {
+      return null
+    }
+
+    const indexesOf = path => {
+      const indexes = bsv.HDPrivateKey._getDerivationIndexes(path)
+      preconditions.checkArgument(indexes !== null, `Invalid derivation path: ${path}`)
+      return indexes
+    }
+    let targetHash, targetXpub, addressIndexes, xpubIndexes
+    if (address) {
+      address = new bsv.Address(address)
+      // Only pay-to-public-key-hash addresses can come from a single key
+      targetHash = address.isPayToPublicKeyHash() ? address.hashBuffer.toString('hex') : null
+      addressIndexes = (paths || [Mnemonic.derivationPath(0, 0, 0)]).map(indexesOf)
+    }
+    if (xpub) {
+      targetXpub = new bsv.HDPublicKey(xpub).toObject()
+      xpubIndexes = indexesOf(xpubPath || (targetXpub.depth === 0 ? 'm' : Mnemonic.derivationPath(0)))
+    }
+
+    // Candidates passed the checksum already, so keys are derived straight
+    // from the seed, without the validation and point checks of Mnemonic
+    const ecdh = createECDH('secp256k1')
+    const publicKey = key => {
+      ecdh.setPrivateKey(key)
+      return ecdh.getPublicKey(null, 'compressed')
+    }
+    return phrase => {
+      const seed = Mnemonic._seed(phrase, passphrase)
+      try {
+        const master = MnemonicRecovery._masterKey(seed)
+        if (targetXpub) {
+          const node = MnemonicRecovery._deriveKey(master, xpubIndexes, publicKey)
+          if (!node || node.chainCode.toString('hex') !== targetXpub.chainCode ||
+            publicKey(node.key).toString('hex') !== targetXpub.publicKey) {
+            return false
+          }
+        }
+        if (address) {
+          return targetHash !== null && addressIndexes.some(indexes => {
+            const node = MnemonicRecovery._deriveKey(master, indexes, publicKey)
+            return node !== null && bsv.crypto.Hash.sha256ripemd160(publicKey(node.key)).toString('hex') === targetHash
+          })
+        }
+        return true
+      } finally {
+        seed.fill(0)
+      }
+    }
+  }
+
+  /**
+   * BIP32 master key of a seed
+   * @param {Buffer} seed - BIP39 seed
+   * @returns {Object|null} { key, chainCode }, null for an invalid key
+   * @private
+   */
+  static _masterKey(seed) {
+    const I = createHmac('sha512', 'Bitcoin seed').update(seed).digest()
+    const key = new BN(I.subarray(0, 32))
+    if (key.isZero() || key.cmp(CURVE_ORDER) >= 0) return null
+    return { key: I.subarray(0, 32), chainCode: I.subarray(32) }
+  }
+
+  /**
+   * BIP32 private child derivation on raw buffers
+   * bsv.HDPrivateKey computes the public key of every node in JavaScript,
+   * which dominates a filtered search. Here only the public keys of parents
+   * of normal children are computed, natively.
+   * @param {Object|null} node - { key, chainCode } of the parent
+   * @param {Array<number>} indexes - Child indexes, hardened ones from 2^31
+   * @param {Function} publicKey - Compressed public key of a private key
+   * @returns {Object|null} { key, chainCode }, null for an invalid key
+   * @private
+   */
+  static _deriveKey(node, indexes, publicKey) {
+    for (const index of indexes) {
+      if (node === null) return null
+      const data = Buffer.alloc(37)
+      if (index >= HARDENED) {
+        node.key.copy(data, 1)
+      } else {
+        publicKey(node.key).copy(data)
+      }
+      data.writeUInt32BE(index, 33)
+      const I = createHmac('sha512', node.chainCode).update(data).digest()
+      const tweak = new BN(I.subarray(0, 32))
+      const key = tweak.add(new BN(node.key)).umod(CURVE_ORDER)
+      node = tweak.cmp(CURVE_ORDER) >= 0 || key.isZero()
+        ? null
+        : { key: key.toArrayLike(Buffer, 'be', 32), chainCode: I.subarray(32) }
+    }
+    return node
+  }
+}
+
+module.exports = MnemonicRecovery
@@ -0,0 +1,105 @@
+'use strict'
+
+const { Buffer } = require('buffer')
+
+// Offline QR encoder
+const QRCode = require('../util/qrcode')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// Custom error types
+const { InvalidMnemonicError, InvalidWordCountError } = require('./errors')
+
+// SeedQR is defined for 12 and 24 word phrases
+const WORD_COUNTS = [12, 24]
+
+/**
+ * SeedQR and CompactSeedQR, as used by SeedSigner.
+ * See https://github.com/SeedSigner/seedsigner/blob/main/docs/seed_qr/README.md
+ *
+ * Standard SeedQR is the four-digit, zero-padded English wordlist index of
+ * every word, encoded in numeric mode. CompactSeedQR is the raw entropy (the
+ * 11-bit indexes without checksum bits) in byte mode. Both use error
+ * correction level L.
+ *
+ * A standard SeedQR spells out every word, so it carries non-standard legacy
+ * phrases as written. CompactSeedQR drops the checksum bits and can only hold
+ * phrases whose last word matches their entropy.
+ */
+class SeedQR {
+  /**
+   * Build the SeedQR payload of a mnemonic
+   * @param {Mnemonic} mnemonic - English 12 or 24 word mnemonic
+   * @param {Object} options - Set compact for a CompactSeedQR payload
+   * @returns {string|Buffer} digit stream, or bytes when compact
+   * @throws {ChecksumMismatchError} for a CompactSeedQR of a legacy phrase
+   */
+  static encode(mnemonic, { compact = false } = {}) {
+    const Mnemonic = require('./mnemonic')
+    if (mnemonic.wordlist !== Mnemonic.Words.ENGLISH) {
+      throw new InvalidMnemonicError('SeedQR requires an English mnemonic')
+    }
+    const words = mnemonic.phrase.split(' ')
+    if (WORD_COUNTS.indexOf(words.length) < 0) {
+      throw new InvalidWordCountError(words.length, WORD_COUNTS)
+    }
+
+    if (compact) {
+      mnemonic._checkStandard('a CompactSeedQR')
+      return Buffer.from(mnemonic._entropy.toBuffer())
+    }
+    const indexes = Mnemonic._wordIndexes(mnemonic.wordlist)
+    return words.map(word => String(indexes.get(word)).padStart(4, '0')).join('')
+  }
+
+  /**
+   * Restore a mnemonic from a SeedQR payload
+   * @param {string|Buffer|Uint8Array} payload - Digit stream, or CompactSeedQR bytes
+   * @param {Object} options - allowInvalidChecksum for legacy phrases in a standard SeedQR
+   * @returns {Mnemonic}
+   * @throws {InvalidMnemonicError} for malformed payloads or bad checksums
+   */
+  static decode(payload, { allowInvalidChecksum = false } = {}) {
+    const Mnemonic = require('./mnemonic')
+    const wordlist = Mnemonic.Words.ENGLISH
+
+    if (payload instanceof Uint8Array) {
+      if (WORD_COUNTS.indexOf(payload.length * 3 / 4) < 0) {
+        throw new InvalidMnemonicError(`CompactSeedQR must be 16 or 32 bytes, got ${payload.length}`)
+      }
+      return Mnemonic.fromEntropy(Buffer.from(payload), wordlist)
+    }
+
+    preconditions.checkArgument(typeof payload === 'string', 'Payload must be a string or bytes')
+    if (!/^\d*$/.test(payload) || payload.length % 4 !== 0) {
+      throw new InvalidMnemonicError('SeedQR must be a string of four-digit word indexes')
+    }
+    const indexes = payload.match(/\d{4}/g) || []
+    if (WORD_COUNTS.indexOf(indexes.length) < 0) {
+      throw new InvalidWordCountError(indexes.length, WORD_COUNTS)
+    }
+    const words = indexes.map((digits, i) => {
+      const index = parseInt(digits, 10)
+      if (index >= wordlist.length) {
+        throw new InvalidMnemonicError(`Word index out of range: ${digits} (word ${i + 1})`)
+      }
+      return wordlist[index]
+    })
+    return new Mnemonic(words.join(' '), wordlist, { allowInvalidChecksum })
+  }
+
+  /**
+   * Build the QR code of a mnemonic
+   * 12 words give a 25x25 (standard) or 21x21 (compact) code, 24 words
+   * 29x29 or 25x25.
+   * @param {Mnemonic} mnemonic - English 12 or 24 word mnemonic
+   * @param {Object} options - Set compact for CompactSeedQR
+   * @returns {QRCode} render with toSVG() or toText()
+   */
+  static toQRCode(mnemonic, { compact = false } = {}) {
+    return QRCode.encode(SeedQR.encode(mnemonic, { compact }), { ecLevel: 'L' })
+  }
+}
+
+module.exports = SeedQR
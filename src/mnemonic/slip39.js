@@ -0,0 +1,562 @@
+'use strict'
+
+const BN = require('bn.js')
+const pbkdf2 = require('pbkdf2')
+const { Buffer } = require('buffer')
+const { createHmac } = require('crypto')
+
+// Injectable randomness
+const Random = require('../crypto/random')
+
+// Preconditions for input validation
+const preconditions = require('../util/preconditions')
+
+// Custom error types
+const { InvalidShareError } = require('./errors')
+
+const WORDLIST = require('./words/slip39')
+
+// Share layout (see the SLIP-0039 "Format of the share mnemonic" section)
+const RADIX_BITS = 10
+const ID_LENGTH_BITS = 15
+const EXTENDABLE_FLAG_LENGTH_BITS = 1
+const ITERATION_EXP_LENGTH_BITS = 4
+const ID_EXP_LENGTH_WORDS = 2
+const SHARE_PARAMS_LENGTH_WORDS = 2
+const CHECKSUM_LENGTH_WORDS = 3
+const METADATA_LENGTH_WORDS = ID_EXP_LENGTH_WORDS + SHARE_PARAMS_LENGTH_WORDS + CHECKSUM_LENGTH_WORDS
+const MIN_STRENGTH_BITS = 128
+const MIN_MNEMONIC_LENGTH_WORDS = METADATA_LENGTH_WORDS + Math.ceil(MIN_STRENGTH_BITS / RADIX_BITS)
+
+// Secret sharing and encryption parameters
+const MAX_SHARE_COUNT = 16
+const DIGEST_LENGTH_BYTES = 4
+const DIGEST_INDEX = 254
+const SECRET_INDEX = 255
+const ROUND_COUNT = 4
+const BASE_ITERATION_COUNT = 10000
+const CUSTOMIZATION_STRING_ORIG = 'shamir'
+const CUSTOMIZATION_STRING_EXTENDABLE = 'shamir_extendable'
+
+// RS1024 generator coefficients
+const RS1024_GEN = [
+  0xE0E040, 0x1C1C080, 0x3838100, 0x7070200, 0xE0E0009,
+  0x1C0C2412, 0x38086C24, 0x3090FC48, 0x21B1F890, 0x3F3F120
+]
+
+// GF(256) log and exp tables for the Rijndael polynomial x^8 + x^4 + x^3 + x + 1
+const EXP_TABLE = new Uint8Array(255)
+const LOG_TABLE = new Uint8Array(256)
+for (let i = 0, poly = 1; i < 255; i++) {
+  EXP_TABLE[i] = poly
+  LOG_TABLE[poly] = i
+  poly = (poly << 1) ^ poly
+  if (poly & 0x100) {
+    poly ^= 0x11B
+  }
+}
+
+// Word lookups are done once per share word, so index the list up front
+const WORD_INDEX = new Map(WORDLIST.map((word, i) => [word, i]))
+
+/**
+ * SLIP-0039 Shamir's Secret-Sharing for Mnemonic Codes.
+ * See SLIP-0039 specification: https://github.com/satoshilabs/slips/blob/master/slip-0039.md
+ *
+ * The master secret shared here is a BIP39 entropy buffer, so a phrase can be
+ * split into shares and later restored as the same Mnemonic.
+ */
+class Slip39 {
+  /**
+   * Split a master secret into groups of share mnemonics
+   * @param {Buffer} masterSecret - At least 16 bytes, even length
+   * @param {Object} options
+   * @param {Array} options.groups - [memberThreshold, memberCount] for each group
+   * @param {number} options.groupThreshold - Number of groups needed to recover
+   * @param {string} options.passphrase - Optional printable ASCII passphrase
+   * @param {number} options.iterationExponent - PBKDF2 cost exponent (0-15)
+   * @param {boolean} options.extendable - Whether more shares may be added later
+   * @returns {Array<Array<string>>} share mnemonics, one array per group
+   */
+  static split(masterSecret, {
+    groups = [[1, 1]],
+    groupThreshold = 1,
+    passphrase = '',
+    iterationExponent = 1,
+    extendable = true
+  } = {}) {
+    preconditions.checkArgument(Buffer.isBuffer(masterSecret), 'Master secret must be a Buffer')
+    preconditions.checkArgument(masterSecret.length * 8 >= MIN_STRENGTH_BITS,
+      `Master secret must be at least ${MIN_STRENGTH_BITS} bits`)
+    preconditions.checkArgument(masterSecret.length % 2 === 0, 'Master secret must have an even number of bytes')
+    preconditions.checkArgument(Array.isArray(groups) && groups.length > 0, 'Groups must be a non-empty array')
+    preconditions.checkArgument(groupThreshold <= groups.length,
+      'Group threshold must not exceed the number of groups')
+    preconditions.checkArgument(Number.isInteger(iterationExponent) &&
+      iterationExponent >= 0 && iterationExponent < (1 << ITERATION_EXP_LENGTH_BITS),
+      'Iteration exponent must be an integer between 0 and 15')
+    Slip39._checkPassphrase(passphrase)
+    for (const [memberThreshold, memberCount] of groups) {
+      preconditions.checkArgument(!(memberThreshold === 1 && memberCount > 1),
+        'Creating multiple member shares with member threshold 1 is not allowed')
+    }
+
+    const identifier = Random.getRandomBuffer(2).readUInt16BE(0) & ((1 << ID_LENGTH_BITS) - 1)
+    const encrypted = Slip39._encrypt(masterSecret, passphrase, iterationExponent, identifier, extendable)
+    const groupShares = Slip39._splitSecret(groupThreshold, groups.length, encrypted)
+
+    return groups.map(([memberThreshold, memberCount], groupIndex) => {
+      const memberShares = Slip39._splitSecret(memberThreshold, memberCount, groupShares[groupIndex].data)
+      return memberShares.map(({ x, data }) => Slip39._encodeShare({
+        identifier,
+        extendable,
+        iterationExponent,
+        groupIndex,
+        groupThreshold,
+        groupCount: groups.length,
+        memberIndex: x,
+        memberThreshold,
+        value: data
+      }))
+    })
+  }
+
+  /**
+   * Recover the master secret from share mnemonics
+   * @param {Array<string>} mnemonics - Enough shares to meet every threshold
+   * @param {string} passphrase - Passphrase used when splitting
+   * @returns {Buffer}
+   * @throws {InvalidShareError} if the shares are malformed, inconsistent or insufficient
+   */
+  static combine(mnemonics, passphrase = '') {
+    preconditions.checkArgument(Array.isArray(mnemonics), 'Mnemonics must be an array')
+    Slip39._checkPassphrase(passphrase)
+    if (mnemonics.length === 0) {
+      throw new InvalidShareError('The set of shares is empty')
+    }
+
+    const shares = mnemonics.map(mnemonic => Slip39._decodeShare(mnemonic))
+    const first = shares[0]
+    const groups = new Map()
+    for (const share of shares) {
+      if (share.identifier !== first.identifier ||
+        share.extendable !== first.extendable ||
+        share.iterationExponent !== first.iterationExponent) {
+        throw new InvalidShareError('All shares must begin with the same identifier and iteration exponent')
+      }
+      if (share.groupThreshold !== first.groupThreshold || share.groupCount !== first.groupCount) {
+        throw new InvalidShareError('All shares must have the same group threshold and group count')
+      }
+
+      const group = groups.get(share.groupIndex) || []
+      if (group.length > 0 && group[0].memberThreshold !== share.memberThreshold) {
+        throw new InvalidShareError('All shares in a group must have the same member threshold')
+      }
+      if (!group.some(other => other.memberIndex === share.memberIndex && other.value.equals(share.value))) {
+        group.push(share)
+      }
+      groups.set(share.groupIndex, group)
+    }
+
+    if (groups.size < first.groupThreshold) {
+      throw new InvalidShareError(`Insufficient number of groups, ${first.groupThreshold} required`)
+    }
+    if (groups.size !== first.groupThreshold) {
+      throw new InvalidShareError(`Wrong number of groups, expected ${first.groupThreshold} but got ${groups.size}`)
+    }
+
+    const groupShares = []
+    for (const [groupIndex, group] of groups) {
+      const memberThreshold = group[0].memberThreshold
+      if (group.length < memberThreshold) {
+        throw new InvalidShareError(
+          `Insufficient number of shares in group ${groupIndex}, ${memberThreshold} required`
+        )
+      }
+      const memberShares = group.slice(0, memberThreshold).map(share => ({ x: share.memberIndex, data: share.value }))
+      groupShares.push({ x: groupIndex, data: Slip39._recoverSecret(memberThreshold, memberShares) })
+    }
+
+    const encrypted = Slip39._recoverSecret(first.groupThreshold, groupShares)
+    return Slip39._decrypt(encrypted, passphrase, first.iterationExponent, first.identifier, first.extendable)
+  }
+
+  /**
+   * Check whether a string is a well-formed share mnemonic
+   * @param {string} mnemonic - Share mnemonic
+   * @returns {boolean}
+   */
+  static isValidShare(mnemonic) {
+    try {
+      Slip39._decodeShare(mnemonic)
+      return true
+    } catch (e) {
+      return false
+    }
+  }
+
+  /**
+   * Encode share fields as a mnemonic
+   * @param {Object} share - Decoded share fields
+   * @returns {string}
+   * @private
+   */
+  static _encodeShare(share) {
+    const idExp = (share.identifier << (EXTENDABLE_FLAG_LENGTH_BITS + ITERATION_EXP_LENGTH_BITS)) +
+      ((share.extendable ? 1 : 0) << ITERATION_EXP_LENGTH_BITS) +
+      share.iterationExponent
+
+    // Five 4-bit fields packed into two words
+    const params = [
+      share.groupIndex,
+      share.groupThreshold - 1,
+      share.groupCount - 1,
+      share.memberIndex,
+      share.memberThreshold - 1
+    ].reduce((acc, field) => (acc << 4) + field, 0)
+
+    const valueWordCount = Math.ceil(share.value.length * 8 / RADIX_BITS)
+    const data = Slip39._intToIndices(new BN(idExp), ID_EXP_LENGTH_WORDS)
+      .concat(Slip39._intToIndices(new BN(params), SHARE_PARAMS_LENGTH_WORDS))
+      .concat(Slip39._intToIndices(new BN(share.value), valueWordCount))
+
+    const checksum = Slip39._rs1024CreateChecksum(data, Slip39._customizationString(share.extendable))
+    return data.concat(checksum).map(index => WORDLIST[index]).join(' ')
+  }
+
+  /**
+   * Decode and verify a share mnemonic
+   * @param {string} mnemonic - Share mnemonic
+   * @returns {Object} share fields
+   * @throws {InvalidShareError}
+   * @private
+   */
+  static _decodeShare(mnemonic) {
+    preconditions.checkArgument(typeof mnemonic === 'string', 'Share mnemonic must be a string')
+
+    const data = mnemonic.trim().toLowerCase().split(/\s+/).map(word => {
+      const index = WORD_INDEX.get(word)
+      if (index === undefined) {
+        throw new InvalidShareError(`Invalid share word: ${word}`)
+      }
+      return index
+    })
+
+    if (data.length < MIN_MNEMONIC_LENGTH_WORDS) {
+      throw new InvalidShareError(`Share must be at least ${MIN_MNEMONIC_LENGTH_WORDS} words`)
+    }
+    const paddingBits = (RADIX_BITS * (data.length - METADATA_LENGTH_WORDS)) % 16
+    if (paddingBits > 8) {
+      throw new InvalidShareError('Invalid share length')
+    }
+
+    const idExp = Slip39._intFromIndices(data.slice(0, ID_EXP_LENGTH_WORDS)).toNumber()
+    const extendable = ((idExp >> ITERATION_EXP_LENGTH_BITS) & 1) === 1
+    if (!Slip39._rs1024VerifyChecksum(data, Slip39._customizationString(extendable))) {
+      throw new InvalidShareError('Invalid share checksum')
+    }
+
+    let params = Slip39._intFromIndices(data.slice(ID_EXP_LENGTH_WORDS, ID_EXP_LENGTH_WORDS + SHARE_PARAMS_LENGTH_WORDS))
+      .toNumber()
+    const fields = []
+    for (let i = 0; i < 5; i++) {
+      fields.unshift(params & 0xf)
+      params >>= 4
+    }
+    const [groupIndex, groupThreshold, groupCount, memberIndex, memberThreshold] = fields
+    if (groupCount < groupThreshold) {
+      throw new InvalidShareError('Group threshold cannot be greater than group count')
+    }
+
+    const valueData = data.slice(ID_EXP_LENGTH_WORDS + SHARE_PARAMS_LENGTH_WORDS, -CHECKSUM_LENGTH_WORDS)
+    const valueBytes = (RADIX_BITS * valueData.length - paddingBits) / 8
+    const valueInt = Slip39._intFromIndices(valueData)
+    if (valueInt.bitLength() > valueBytes * 8) {
+      throw new InvalidShareError('Invalid share padding')
+    }
+
+    return {
+      identifier: idExp >> (EXTENDABLE_FLAG_LENGTH_BITS + ITERATION_EXP_LENGTH_BITS),
+      extendable,
+      iterationExponent: idExp & ((1 << ITERATION_EXP_LENGTH_BITS) - 1),
+      groupIndex,
+      groupThreshold: groupThreshold + 1,
+      groupCount: groupCount + 1,
+      memberIndex,
+      memberThreshold: memberThreshold + 1,
+      value: valueInt.toArrayLike(Buffer, 'be', valueBytes)
+    }
+  }
+
+  /**
+   * Split a secret into Shamir shares over GF(256)
+   * @param {number} threshold - Shares needed to recover
+   * @param {number} count - Shares to create
+   * @param {Buffer} secret - Secret to split
+   * @returns {Array<{x: number, data: Buffer}>}
+   * @private
+   */
+  static _splitSecret(threshold, count, secret) {
+    preconditions.checkArgument(Number.isInteger(threshold) && threshold >= 1,
+      'Threshold must be a positive integer')
+    preconditions.checkArgument(Number.isInteger(count) && threshold <= count,
+      'Threshold must not exceed the share count')
+    preconditions.checkArgument(count <= MAX_SHARE_COUNT, `Share count must not exceed ${MAX_SHARE_COUNT}`)
+
+    const shares = []
+    if (threshold === 1) {
+      for (let x = 0; x < count; x++) {
+        shares.push({ x, data: Buffer.from(secret) })
+      }
+      return shares
+    }
+
+    const randomShareCount = threshold - 2
+    for (let x = 0; x < randomShareCount; x++) {
+      shares.push({ x, data: Random.getRandomBuffer(secret.length) })
+    }
+
+    const randomPart = Random.getRandomBuffer(secret.length - DIGEST_LENGTH_BYTES)
+    const digest = Slip39._createDigest(randomPart, secret)
+    const baseShares = shares.concat([
+      { x: DIGEST_INDEX, data: Buffer.concat([digest, randomPart]) },
+      { x: SECRET_INDEX, data: secret }
+    ])
+
+    for (let x = randomShareCount; x < count; x++) {
+      shares.push({ x, data: Slip39._interpolate(baseShares, x) })
+    }
+    return shares
+  }
+
+  /**
+   * Recover a secret from Shamir shares and check its digest
+   * @param {number} threshold - Shares needed to recover
+   * @param {Array<{x: number, data: Buffer}>} shares - Exactly threshold shares
+   * @returns {Buffer}
+   * @private
+   */
+  static _recoverSecret(threshold, shares) {
+    if (threshold === 1) {
+      return shares[0].data
+    }
+
+    const secret = Slip39._interpolate(shares, SECRET_INDEX)
+    const digestShare = Slip39._interpolate(shares, DIGEST_INDEX)
+    const digest = digestShare.slice(0, DIGEST_LENGTH_BYTES)
+    const randomPart = digestShare.slice(DIGEST_LENGTH_BYTES)
+    if (!digest.equals(Slip39._createDigest(randomPart, secret))) {
+      throw new InvalidShareError('Invalid digest of the shared secret')
+    }
+    return secret
+  }
+
+  /**
+   * Evaluate the polynomial through the shares at x (Lagrange interpolation)
+   * @param {Array<{x: number, data: Buffer}>} shares - Points on the polynomial
+   * @param {number} x - Coordinate to evaluate
+   * @returns {Buffer}
+   * @private
+   */
+  static _interpolate(shares, x) {
+    const xs = new Set(shares.map(share => share.x))
+    if (xs.size !== shares.length) {
+      throw new InvalidShareError('Share indices must be unique')
+    }
+    const length = shares[0].data.length
+    if (shares.some(share => share.data.length !== length)) {
+      throw new InvalidShareError('All share values must have the same length')
+    }
+
+    const known = shares.find(share => share.x === x)
+    if (known) {
+      return Buffer.from(known.data)
+    }
+
+    const logProd = shares.reduce((sum, share) => sum + LOG_TABLE[share.x ^ x], 0)
+    const result = Buffer.alloc(length)
+    for (const share of shares) {
+      const logOthers = shares.reduce((sum, other) => sum + LOG_TABLE[share.x ^ other.x], 0)
+      const logBasis = (((logProd - LOG_TABLE[share.x ^ x] - logOthers) % 255) + 255) % 255
+      for (let i = 0; i < length; i++) {
+        const value = share.data[i]
+        if (value !== 0) {
+          result[i] ^= EXP_TABLE[(LOG_TABLE[value] + logBasis) % 255]
+        }
+      }
+    }
+    return result
+  }
+
+  /**
+   * Digest stored alongside the shares to detect a wrong combination
+   * @param {Buffer} randomPart - Random data keying the HMAC
+   * @param {Buffer} secret - Shared secret
+   * @returns {Buffer}
+   * @private
+   */
+  static _createDigest(randomPart, secret) {
+    return createHmac('sha256', randomPart).update(secret).digest().slice(0, DIGEST_LENGTH_BYTES)
+  }
+
+  /**
+   * Encrypt the master secret with a four round Feistel network
+   * @param {Buffer} masterSecret - Secret to encrypt
+   * @param {string} passphrase - Printable ASCII passphrase
+   * @param {number} iterationExponent - PBKDF2 cost exponent
+   * @param {number} identifier - 15-bit share set identifier
+   * @param {boolean} extendable - Extendable backup flag
+   * @returns {Buffer}
+   * @private
+   */
+  static _encrypt(masterSecret, passphrase, iterationExponent, identifier, extendable) {
+    let left = masterSecret.slice(0, masterSecret.length / 2)
+    let right = masterSecret.slice(masterSecret.length / 2)
+    const salt = Slip39._salt(identifier, extendable)
+    for (let i = 0; i < ROUND_COUNT; i++) {
+      const f = Slip39._roundFunction(i, passphrase, iterationExponent, salt, right)
+      const next = Slip39._xor(left, f)
+      left = right
+      right = next
+    }
+    return Buffer.concat([right, left])
+  }
+
+  /**
+   * Reverse Slip39._encrypt
+   * @param {Buffer} encrypted - Encrypted master secret
+   * @param {string} passphrase - Printable ASCII passphrase
+   * @param {number} iterationExponent - PBKDF2 cost exponent
+   * @param {number} identifier - 15-bit share set identifier
+   * @param {boolean} extendable - Extendable backup flag
+   * @returns {Buffer}
+   * @private
+   */
+  static _decrypt(encrypted, passphrase, iterationExponent, identifier, extendable) {
+    let left = encrypted.slice(0, encrypted.length / 2)
+    let right = encrypted.slice(encrypted.length / 2)
+    const salt = Slip39._salt(identifier, extendable)
+    for (let i = ROUND_COUNT - 1; i >= 0; i--) {
+      const f = Slip39._roundFunction(i, passphrase, iterationExponent, salt, right)
+      const next = Slip39._xor(left, f)
+      left = right
+      right = next
+    }
+    return Buffer.concat([right, left])
+  }
+
+  /**
+   * Feistel round function, PBKDF2-HMAC-SHA256 keyed by round and passphrase
+   * @private
+   */
+  static _roundFunction(round, passphrase, iterationExponent, salt, data) {
+    return pbkdf2.pbkdf2Sync(
+      Buffer.concat([Buffer.from([round]), Buffer.from(passphrase, 'ascii')]),
+      Buffer.concat([salt, data]),
+      (BASE_ITERATION_COUNT << iterationExponent) / ROUND_COUNT,
+      data.length,
+      'sha256'
+    )
+  }
+
+  /**
+   * Extendable backups use an empty salt so new shares stay compatible
+   * @private
+   */
+  static _salt(identifier, extendable) {
+    if (extendable) {
+      return Buffer.alloc(0)
+    }
+    const id = Buffer.alloc(2)
+    id.writeUInt16BE(identifier, 0)
+    return Buffer.concat([Buffer.from(CUSTOMIZATION_STRING_ORIG, 'ascii'), id])
+  }
+
+  /**
+   * XOR two equal-length buffers
+   * @private
+   */
+  static _xor(a, b) {
+    const result = Buffer.alloc(a.length)
+    for (let i = 0; i < a.length; i++) {
+      result[i] = a[i] ^ b[i]
+    }
+    return result
+  }
+
+  /**
+   * SLIP-0039 passphrases are restricted to printable ASCII
+   * @private
+   */
+  static _checkPassphrase(passphrase) {
+    preconditions.checkArgument(typeof passphrase === 'string', 'Passphrase must be a string')
+    preconditions.checkArgument(/^[\x20-\x7e]*$/.test(passphrase),
+      'Passphrase must contain only printable ASCII characters')
+  }
+
+  /**
+   * Checksum customization string, which depends on the extendable flag
+   * @private
+   */
+  static _customizationString(extendable) {
+    return extendable ? CUSTOMIZATION_STRING_EXTENDABLE : CUSTOMIZATION_STRING_ORIG
+  }
+
+  /**
+   * RS1024 polynomial remainder over GF(1024)
+   * @private
+   */
+  static _rs1024Polymod(values) {
+    let chk = 1
+    for (const v of values) {
+      const b = chk >> 20
+      chk = ((chk & 0xfffff) << 10) ^ v
+      for (let i = 0; i < 10; i++) {
+        if ((b >> i) & 1) {
+          chk ^= RS1024_GEN[i]
+        }
+      }
+    }
+    return chk
+  }
+
+  /**
+   * Compute the three checksum words for share data
+   * @private
+   */
+  static _rs1024CreateChecksum(data, customization) {
+    const values = Array.from(Buffer.from(customization, 'ascii')).concat(data, [0, 0, 0])
+    const polymod = Slip39._rs1024Polymod(values) ^ 1
+    return [2, 1, 0].map(i => (polymod >> (RADIX_BITS * i)) & 1023)
+  }
+
+  /**
+   * Verify the checksum words at the end of share data
+   * @private
+   */
+  static _rs1024VerifyChecksum(data, customization) {
+    return Slip39._rs1024Polymod(Array.from(Buffer.from(customization, 'ascii')).concat(data)) === 1
+  }
+
+  /**
+   * Split an integer into big-endian 10-bit word indexes
+   * @private
+   */
+  static _intToIndices(value, length) {
+    const indices = []
+    for (let i = length - 1; i >= 0; i--) {
+      indices.push(value.shrn(i * RADIX_BITS).andln(1023))
+    }
+    return indices
+  }
+
+  /**
+   * Join big-endian 10-bit word indexes into an integer
+   * @private
+   */
+  static _intFromIndices(indices) {
+    return indices.reduce((acc, index) => acc.shln(RADIX_BITS).iaddn(index), new BN(0))
+  }
+}
+
+module.exports = Slip39
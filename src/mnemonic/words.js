@@ -1,13 +1,69 @@
 'use strict'
 
+// Custom error types
+const { InvalidWordlistError, UnknownWordlistError } = require('./errors')
+
+// Pinned hashes of the shipped lists
+const { FINGERPRINTS, hashWordlist } = require('./fingerprints')
+
 /**
- * BSV English wordlist implementation.
+ * BIP39 wordlists.
  * This implementation maintains backward compatibility with BSV.
+ * Language detection tries the lists in this order, BSV English first.
+ *
+ * Every shipped list is checked against a pinned SHA-256 fingerprint when
+ * this module loads, so a corrupted or tampered list fails loudly instead of
+ * producing different phrases.
  */
 
 // English wordlist
 const ENGLISH = require('./words/english')
 
-module.exports = {
-  ENGLISH
+// Other official BIP39 wordlists
+const CHINESE_SIMPLIFIED = require('./words/chinese_simplified')
+const CHINESE_TRADITIONAL = require('./words/chinese_traditional')
+const CZECH = require('./words/czech')
+const FRENCH = require('./words/french')
+const ITALIAN = require('./words/italian')
+const JAPANESE = require('./words/japanese')
+const KOREAN = require('./words/korean')
+const PORTUGUESE = require('./words/portuguese')
+const SPANISH = require('./words/spanish')
+
+const Words = {
+  ENGLISH,
+  CHINESE_SIMPLIFIED,
+  CHINESE_TRADITIONAL,
+  CZECH,
+  FRENCH,
+  ITALIAN,
+  JAPANESE,
+  KOREAN,
+  PORTUGUESE,
+  SPANISH
 }
+
+for (const name of Object.keys(FINGERPRINTS)) {
+  if (hashWordlist(Words[name]) !== FINGERPRINTS[name]) {
+    throw new InvalidWordlistError(`Wordlist ${name} does not match its pinned fingerprint`)
+  }
+}
+
+/**
+ * Fingerprint of a wordlist, to assert at runtime that it is the canonical list
+ * Works for shipped and registered lists alike. Not enumerable, and lower
+ * case, so it cannot clash with a wordlist name.
+ * @param {string} name - Wordlist name, e.g. "ENGLISH"
+ * @returns {string} hex SHA-256 fingerprint
+ * @throws {UnknownWordlistError}
+ */
+function fingerprint(name) {
+  if (!Object.prototype.hasOwnProperty.call(Words, name) || !Array.isArray(Words[name])) {
+    throw new UnknownWordlistError(`Unknown wordlist: ${name}`)
+  }
+  return hashWordlist(Words[name])
+}
+
+Object.defineProperty(Words, 'fingerprint', { value: fingerprint })
+
+module.exports = Words
@@ -0,0 +1,17 @@
+'use strict'
+
+// Preconditions for input validation
+const preconditions = {
+  checkArgument: function(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Invalid argument')
+    }
+  },
+  checkState: function(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Invalid state')
+    }
+  }
+}
+
+module.exports = preconditions
@@ -0,0 +1,550 @@
+'use strict'
+
+const { Buffer } = require('buffer')
+
+// Preconditions for input validation
+const preconditions = require('./preconditions')
+
+// Error correction codewords per block, indexed by level then version
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+}
+
+// Error correction blocks, indexed by level then version
+const ECC_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+}
+
+// Two-bit level indicators used in the format information
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 }
+
+// Mode indicators and character count field widths for versions 1-9, 10-26 and 27-40
+const MODES = {
+  numeric: { indicator: 0x1, countBits: [10, 12, 14] },
+  byte: { indicator: 0x4, countBits: [8, 16, 16] }
+}
+
+// Mask conditions; a module is inverted where the condition holds
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+]
+
+/**
+ * Minimal QR code encoder (ISO/IEC 18004) for offline rendering.
+ *
+ * Supports numeric and byte mode, all versions and error correction levels,
+ * with no native or network dependencies. Digit-only strings are encoded in
+ * numeric mode, other strings as UTF-8 bytes. The mask is chosen by the
+ * standard penalty rules unless given.
+ */
+class QRCode {
+  /**
+   * @param {number} version - 1 to 40
+   * @param {string} ecLevel - L, M, Q or H
+   * @param {number} mask - 0 to 7
+   * @param {Array<Array<boolean>>} modules - Rows of modules, true for dark
+   */
+  constructor(version, ecLevel, mask, modules) {
+    this.version = version
+    this.ecLevel = ecLevel
+    this.mask = mask
+    this.modules = modules
+  }
+
+  /**
+   * Encode data into a QR code
+   * @param {string|Buffer} data - Digits, text or bytes
+   * @param {Object} options
+   * @param {string} options.ecLevel - L (default), M, Q or H
+   * @param {number} options.minVersion - Smallest version to use
+   * @param {number} options.mask - Force a mask pattern
+   * @returns {QRCode}
+   */
+  static encode(data, { ecLevel = 'L', minVersion = 1, mask } = {}) {
+    preconditions.checkArgument(FORMAT_BITS[ecLevel] !== undefined, `Invalid error correction level: ${ecLevel}`)
+    preconditions.checkArgument(Number.isInteger(minVersion) && minVersion >= 1 && minVersion <= 40, 'Invalid version')
+    preconditions.checkArgument(mask === undefined || (Number.isInteger(mask) && mask >= 0 && mask <= 7), 'Invalid mask')
+
+    const segment = QRCode._segment(data)
+    let version = minVersion
+    let dataBits
+    for (; ; version++) {
+      preconditions.checkArgument(version <= 40, 'Data too long for a QR code')
+      dataBits = QRCode._segmentBits(segment, version)
+      if (dataBits && dataBits.length <= QRCode._dataCodewords(version, ecLevel) * 8) break
+    }
+
+    const codewords = QRCode._addEccAndInterleave(QRCode._pad(dataBits, version, ecLevel), version, ecLevel)
+    return QRCode._build(version, ecLevel, codewords, mask)
+  }
+
+  /**
+   * Width and height in modules
+   * @type {number}
+   */
+  get size() {
+    return this.modules.length
+  }
+
+  /**
+   * Render as a standalone SVG document
+   * @param {Object} options
+   * @param {number} options.scale - Pixels per module
+   * @param {number} options.margin - Quiet zone in modules, 4 by default
+   * @param {string} options.dark - Dark module color
+   * @param {string} options.light - Background color
+   * @returns {string}
+   */
+  toSVG({ scale = 8, margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+    const total = this.size + margin * 2
+    const path = []
+    this.modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        if (isDark) path.push(`M${x + margin},${y + margin}h1v1h-1z`)
+      })
+    })
+    return `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="${total * scale}" height="${total * scale}" ` +
+      `viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="${light}"/>` +
+      `<path d="${path.join('')}" fill="${dark}"/></svg>`
+  }
+
+  /**
+   * Render as text with half-block characters, two module rows per line
+   * Dark modules are drawn as blocks, which suits paper and light terminals;
+   * set invert on dark terminal backgrounds.
+   * @param {Object} options
+   * @param {number} options.margin - Quiet zone in modules, 2 by default
+   * @param {boolean} options.invert - Draw light modules as blocks instead
+   * @returns {string}
+   */
+  toText({ margin = 2, invert = false } = {}) {
+    const total = this.size + margin * 2
+    const isDark = (x, y) => {
+      x -= margin
+      y -= margin
+      const dark = x >= 0 && y >= 0 && x < this.size && y < this.size && this.modules[y][x]
+      return dark !== invert
+    }
+
+    const lines = []
+    for (let y = 0; y < total; y += 2) {
+      let line = ''
+      for (let x = 0; x < total; x++) {
+        const top = isDark(x, y)
+        const bottom = y + 1 < total ? isDark(x, y + 1) : invert
+        line += top ? (bottom ? '█' : '▀') : (bottom ? '▄' : ' ')
+      }
+      lines.push(line)
+    }
+    return lines.join('\n')
+  }
+
+  /**
+   * @param {string|Buffer} data - Digits, text or bytes
+   * @returns {Object} { mode, data, length }
+   * @private
+   */
+  static _segment(data) {
+    if (typeof data === 'string' && /^\d*$/.test(data)) {
+      return { mode: MODES.numeric, data, length: data.length }
+    }
+    const bytes = typeof data === 'string' ? Buffer.from(data, 'utf8') : data
+    preconditions.checkArgument(Buffer.isBuffer(bytes), 'Data must be a string or a Buffer')
+    return { mode: MODES.byte, data: bytes, length: bytes.length }
+  }
+
+  /**
+   * Mode indicator, character count and payload bits of a segment
+   * @param {Object} segment - From QRCode._segment
+   * @param {number} version - Version the count field is sized for
+   * @returns {Array<number>|null} bits, null if the length overflows the count field
+   * @private
+   */
+  static _segmentBits({ mode, data, length }, version) {
+    const countBits = mode.countBits[version < 10 ? 0 : version < 27 ? 1 : 2]
+    if (length >= 1 << countBits) {
+      return null
+    }
+
+    const bits = []
+    QRCode._appendBits(bits, mode.indicator, 4)
+    QRCode._appendBits(bits, length, countBits)
+    if (mode === MODES.numeric) {
+      for (let i = 0; i < length; i += 3) {
+        const group = data.slice(i, i + 3)
+        QRCode._appendBits(bits, parseInt(group, 10), group.length * 3 + 1)
+      }
+    } else {
+      for (const byte of data) {
+        QRCode._appendBits(bits, byte, 8)
+      }
+    }
+    return bits
+  }
+
+  /**
+   * Terminate and pad the bit stream to the data capacity
+   * @private
+   */
+  static _pad(bits, version, ecLevel) {
+    const capacity = QRCode._dataCodewords(version, ecLevel) * 8
+    bits = bits.slice()
+    QRCode._appendBits(bits, 0, Math.min(4, capacity - bits.length))
+    QRCode._appendBits(bits, 0, (8 - bits.length % 8) % 8)
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+      QRCode._appendBits(bits, pad, 8)
+    }
+
+    const codewords = new Array(bits.length / 8).fill(0)
+    bits.forEach((bit, i) => {
+      codewords[i >>> 3] |= bit << (7 - (i & 7))
+    })
+    return codewords
+  }
+
+  /**
+   * @private
+   */
+  static _appendBits(bits, value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1)
+    }
+  }
+
+  /**
+   * Modules available for data and error correction bits
+   * @private
+   */
+  static _rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64
+    if (version >= 2) {
+      const alignments = Math.floor(version / 7) + 2
+      result -= (25 * alignments - 10) * alignments - 55
+      if (version >= 7) result -= 36
+    }
+    return result
+  }
+
+  /**
+   * @private
+   */
+  static _dataCodewords(version, ecLevel) {
+    return Math.floor(QRCode._rawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[ecLevel][version] * ECC_BLOCKS[ecLevel][version]
+  }
+
+  /**
+   * Split data into blocks, append Reed-Solomon codewords and interleave
+   * @private
+   */
+  static _addEccAndInterleave(data, version, ecLevel) {
+    const blockCount = ECC_BLOCKS[ecLevel][version]
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[ecLevel][version]
+    const rawCodewords = Math.floor(QRCode._rawDataModules(version) / 8)
+    const shortBlocks = blockCount - rawCodewords % blockCount
+    const shortBlockLength = Math.floor(rawCodewords / blockCount)
+    const divisor = QRCode._reedSolomonDivisor(eccLength)
+
+    const blocks = []
+    for (let i = 0, k = 0; i < blockCount; i++) {
+      const block = data.slice(k, k + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1))
+      k += block.length
+      const ecc = QRCode._reedSolomonRemainder(block, divisor)
+      if (i < shortBlocks) block.push(0)
+      blocks.push(block.concat(ecc))
+    }
+
+    const result = []
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Skip the padding byte of short blocks
+        if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+          result.push(block[i])
+        }
+      })
+    }
+    return result
+  }
+
+  /**
+   * @private
+   */
+  static _reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0)
+    result[degree - 1] = 1
+    let root = 1
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = QRCode._gfMultiply(result[j], root)
+        if (j + 1 < result.length) result[j] ^= result[j + 1]
+      }
+      root = QRCode._gfMultiply(root, 0x02)
+    }
+    return result
+  }
+
+  /**
+   * @private
+   */
+  static _reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0)
+    for (const byte of data) {
+      const factor = byte ^ result.shift()
+      result.push(0)
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= QRCode._gfMultiply(coefficient, factor)
+      })
+    }
+    return result
+  }
+
+  /**
+   * Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+   * @private
+   */
+  static _gfMultiply(x, y) {
+    let z = 0
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D)
+      z ^= ((y >>> i) & 1) * x
+    }
+    return z
+  }
+
+  /**
+   * Lay out function patterns and codewords, then apply the best mask
+   * @private
+   */
+  static _build(version, ecLevel, codewords, mask) {
+    const size = version * 4 + 17
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false))
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false))
+    const set = (x, y, dark) => {
+      modules[y][x] = dark
+      isFunction[y][x] = true
+    }
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0)
+      set(i, 6, i % 2 === 0)
+    }
+
+    // Finder patterns with separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy))
+          const x = cx + dx
+          const y = cy + dy
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            set(x, y, distance !== 2 && distance !== 4)
+          }
+        }
+      }
+    }
+
+    // Alignment patterns, except where they would overlap finders
+    const positions = QRCode._alignmentPositions(version)
+    const last = positions.length - 1
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+          }
+        }
+      })
+    })
+
+    // Reserve the format areas before placing data
+    QRCode._drawFormatBits(set, size, ecLevel, 0)
+
+    if (version >= 7) {
+      let remainder = version
+      for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25)
+      }
+      const bits = version << 12 | remainder
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) !== 0
+        const a = size - 11 + i % 3
+        const b = Math.floor(i / 3)
+        set(a, b, dark)
+        set(b, a, dark)
+      }
+    }
+
+    // Codewords in the zigzag order, two columns at a time from the right
+    let bit = 0
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j
+          const upward = ((right + 1) & 2) === 0
+          const y = upward ? size - 1 - vertical : vertical
+          if (!isFunction[y][x] && bit < codewords.length * 8) {
+            modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) !== 0
+            bit++
+          }
+        }
+      }
+    }
+
+    const applyMask = pattern => {
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          if (!isFunction[y][x] && MASKS[pattern](x, y)) {
+            modules[y][x] = !modules[y][x]
+          }
+        }
+      }
+    }
+
+    if (mask === undefined) {
+      let lowest = Infinity
+      for (let pattern = 0; pattern < MASKS.length; pattern++) {
+        applyMask(pattern)
+        QRCode._drawFormatBits(set, size, ecLevel, pattern)
+        const penalty = QRCode._penalty(modules)
+        if (penalty < lowest) {
+          mask = pattern
+          lowest = penalty
+        }
+        applyMask(pattern)
+      }
+    }
+    applyMask(mask)
+    QRCode._drawFormatBits(set, size, ecLevel, mask)
+
+    return new QRCode(version, ecLevel, mask, modules)
+  }
+
+  /**
+   * @private
+   */
+  static _alignmentPositions(version) {
+    if (version === 1) return []
+    const count = Math.floor(version / 7) + 2
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2
+    const result = [6]
+    for (let position = version * 4 + 10; result.length < count; position -= step) {
+      result.splice(1, 0, position)
+    }
+    return result
+  }
+
+  /**
+   * Draw both copies of the format information and the dark module
+   * @private
+   */
+  static _drawFormatBits(set, size, ecLevel, mask) {
+    const data = FORMAT_BITS[ecLevel] << 3 | mask
+    let remainder = data
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537)
+    }
+    const bits = (data << 10 | remainder) ^ 0x5412
+    const bitAt = i => ((bits >>> i) & 1) !== 0
+
+    for (let i = 0; i <= 5; i++) set(8, i, bitAt(i))
+    set(8, 7, bitAt(6))
+    set(8, 8, bitAt(7))
+    set(7, 8, bitAt(8))
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bitAt(i))
+
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bitAt(i))
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bitAt(i))
+    set(8, size - 8, true)
+  }
+
+  /**
+   * Penalty score of a masked symbol (rules N1 to N4)
+   * @private
+   */
+  static _penalty(modules) {
+    const size = modules.length
+    let result = 0
+
+    // Runs of five or more and finder-like patterns, in rows then columns
+    const scanLine = get => {
+      const history = new Array(7).fill(0)
+      const addHistory = run => {
+        // The light border counts towards the first run
+        if (history[0] === 0) run += size
+        history.pop()
+        history.unshift(run)
+      }
+      const countPatterns = () => {
+        const n = history[1]
+        const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n
+        return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) +
+          (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0)
+      }
+
+      let score = 0
+      let runColor = false
+      let run = 0
+      for (let i = 0; i < size; i++) {
+        if (get(i) === runColor) {
+          run++
+          if (run === 5) score += 3
+          else if (run > 5) score++
+        } else {
+          addHistory(run)
+          if (!runColor) score += countPatterns() * 40
+          runColor = get(i)
+          run = 1
+        }
+      }
+      if (runColor) {
+        addHistory(run)
+        run = 0
+      }
+      addHistory(run + size)
+      return score + countPatterns() * 40
+    }
+
+    for (let i = 0; i < size; i++) {
+      result += scanLine(x => modules[i][x])
+      result += scanLine(y => modules[y][i])
+    }
+
+    // 2x2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x]
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          result += 3
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0)
+    const total = size * size
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10
+    return result
+  }
+}
+
+// Error correction levels
+QRCode.EC_LEVELS = Object.freeze(['L', 'M', 'Q', 'H'])
+
+module.exports = QRCode
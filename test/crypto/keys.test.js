@@ -0,0 +1,95 @@
+const chai = require('chai');
+const expect = chai.expect;
+const util = require('util');
+const bsv = require('bsv');
+const lib = require('../../src/index.js');
+
+describe('Private Keys', () => {
+  const wif = 'L2sKd3gPxNqgXRK5WHorDHFQAmWUfRtj9eHxcczXfiWqDbyMsdb3';
+  const xprv = 'xprv9s21ZrQH143K3qD7ZrohRkmcn3sAp74CMzLRJeHEnRSPuMcaHwViGRmvn5Q2SCnQiD462hYyQhB11tr9JHKtfV379v3NA5GyWSmCKTnotj6';
+
+  const expectRedacted = (key, type) => {
+    const hex = key.privateKey ? key.privateKey.toString() : key.toString();
+    for (const text of [util.inspect(key), util.inspect({ wallet: [key] }), key.inspect(), JSON.stringify({ key })]) {
+      expect(text).to.include('redacted');
+      expect(text).not.to.include(hex);
+    }
+    expect(util.inspect(key)).to.equal(`<${type}: redacted, network: ${key.network.name}>`);
+    expect(key.toJSON()).to.deep.equal({ type, network: key.network.name, redacted: true });
+  };
+
+  describe('Redaction', () => {
+    it('should redact private keys', () => {
+      expectRedacted(new lib.PrivateKey(), 'PrivateKey');
+      expectRedacted(new lib.PrivateKey(wif), 'PrivateKey');
+      expectRedacted(lib.PrivateKey.fromWIF(wif), 'PrivateKey');
+      expectRedacted(lib.PrivateKey.fromRandom('testnet'), 'PrivateKey');
+    });
+
+    it('should redact HD private keys, their children and key pairs', () => {
+      for (const key of [new lib.HDPrivateKey(), new lib.HDPrivateKey(xprv), lib.HDPrivateKey.fromSeed(Buffer.alloc(32, 1))]) {
+        expectRedacted(key, 'HDPrivateKey');
+        expectRedacted(key.privateKey, 'PrivateKey');
+        expectRedacted(key.deriveChild("m/44'/236'/0'").deriveChild(1), 'HDPrivateKey');
+      }
+    });
+
+    it('should keep deliberate serialization', () => {
+      const key = new lib.PrivateKey(wif);
+      expect(key.toWIF()).to.equal(wif);
+      expect(bsv.PrivateKey.fromObject(key.toObject()).toWIF()).to.equal(wif);
+      expect(new lib.HDPrivateKey(xprv).toString()).to.equal(xprv);
+      expect(new lib.HDPrivateKey(xprv).toObject().xprivkey).to.equal(xprv);
+    });
+
+    it('should redact keys built with bsv on request', () => {
+      const key = bsv.HDPrivateKey.fromSeed(Buffer.alloc(32, 2));
+      expect(lib.crypto.redact(key)).to.equal(key);
+      expectRedacted(key, 'HDPrivateKey');
+      expect(util.inspect(new bsv.PrivateKey(wif))).to.include('bn');
+    });
+  });
+
+  describe('Classes', () => {
+    const expectInstance = (key, Key, Base) => {
+      expect(key).to.be.an.instanceof(Key);
+      expect(key).to.be.an.instanceof(Base);
+    };
+
+    it('should build library private keys from every factory', () => {
+      const keys = [
+        new lib.PrivateKey(),
+        new lib.PrivateKey(wif),
+        lib.PrivateKey.fromRandom(),
+        lib.PrivateKey.fromWIF(wif),
+        lib.PrivateKey.fromString(new bsv.PrivateKey(wif).toString()),
+        lib.PrivateKey.fromObject(new bsv.PrivateKey(wif).toObject()),
+        lib.PrivateKey.fromBuffer(new bsv.PrivateKey(wif).toBuffer())
+      ];
+      keys.forEach(key => expectInstance(key, lib.PrivateKey, bsv.PrivateKey));
+    });
+
+    it('should build library HD private keys from every factory', () => {
+      const keys = [
+        new lib.HDPrivateKey(),
+        new lib.HDPrivateKey('testnet'),
+        new lib.HDPrivateKey(xprv),
+        lib.HDPrivateKey.fromRandom(),
+        lib.HDPrivateKey.fromSeed(Buffer.alloc(32, 1)),
+        lib.HDPrivateKey.fromString(xprv),
+        lib.HDPrivateKey.fromObject(new bsv.HDPrivateKey(xprv).toObject()),
+        lib.HDPrivateKey.fromBuffer(Buffer.from(xprv))
+      ];
+      for (const key of keys) {
+        expectInstance(key, lib.HDPrivateKey, bsv.HDPrivateKey);
+        expectInstance(key.privateKey, lib.PrivateKey, bsv.PrivateKey);
+        expectInstance(key.deriveChild("m/0'").deriveChild(1), lib.HDPrivateKey, bsv.HDPrivateKey);
+      }
+    });
+
+    it('should turn keys built with bsv into library keys on redaction', () => {
+      expectInstance(lib.crypto.redact(new bsv.PrivateKey(wif)), lib.PrivateKey, bsv.PrivateKey);
+      expectInstance(lib.Mnemonic.fromRandom().toHDPrivateKey(), lib.HDPrivateKey, bsv.HDPrivateKey);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const chai = require('chai');
+const expect = chai.expect;
+const bsv = require('bsv');
+const lib = require('../../src/index.js');
+const Random = require('../../src/crypto/random');
+
+const { DeterministicRandom, TestModeError } = Random;
+
+describe('Random', () => {
+  afterEach(() => {
+    Random.setSource(null);
+    Random.setTestMode(false);
+  });
+
+  describe('Sources', () => {
+    it('should default to the system generator', () => {
+      const bytes = Random.getRandomBuffer(32);
+      expect(Buffer.isBuffer(bytes)).to.equal(true);
+      expect(bytes.length).to.equal(32);
+      expect(bytes.equals(Random.getRandomBuffer(32))).to.equal(false);
+    });
+
+    it('should accept functions and objects returning bytes', () => {
+      Random.setSource(size => new Uint8Array(size).fill(7));
+      expect(Random.getRandomBuffer(3).toString('hex')).to.equal('070707');
+
+      Random.setSource({ getRandomBuffer: size => Buffer.alloc(size, 9) });
+      expect(Random.getRandomBuffer(2).toString('hex')).to.equal('0909');
+    });
+
+    it('should reject invalid sources and short output', () => {
+      expect(() => Random.setSource('random')).to.throw(TypeError);
+      expect(() => Random.setSource({})).to.throw(TypeError);
+      Random.setSource(size => Buffer.alloc(size - 1));
+      expect(() => Random.getRandomBuffer(16)).to.throw('Random source must return 16 bytes');
+    });
+
+    it('should restore the previous source after withSource', () => {
+      const constant = size => Buffer.alloc(size, 1);
+      expect(Random.withSource(constant, () => Random.getRandomBuffer(1))[0]).to.equal(1);
+      expect(() => Random.withSource(constant, () => { throw new Error('boom'); })).to.throw('boom');
+      Random.setSource(size => Buffer.alloc(size, 2));
+      Random.withSource(constant, () => {});
+      expect(Random.getRandomBuffer(1)[0]).to.equal(2);
+    });
+  });
+
+  describe('bsv Compatibility', () => {
+    it('should keep the generators of bsv.crypto.Random', () => {
+      Random.setSource(size => Buffer.alloc(size, 7));
+      for (const name of Object.keys(bsv.crypto.Random)) {
+        expect(lib.crypto.Random[name]).to.be.a('function');
+      }
+      expect(lib.crypto.Random.getRandomBufferNode(16).length).to.equal(16);
+      expect(lib.crypto.Random.getRandomBufferNode(16).equals(Buffer.alloc(16, 7))).to.equal(false);
+    });
+  });
+
+  describe('DeterministicRandom', () => {
+    it('should refuse to run outside test mode', () => {
+      expect(() => new DeterministicRandom('seed')).to.throw(TestModeError);
+
+      Random.setTestMode(true);
+      const rng = new DeterministicRandom('seed');
+      Random.setSource(rng);
+      Random.setTestMode(false);
+      expect(() => rng.getRandomBuffer(1)).to.throw(TestModeError);
+      expect(() => Random.getRandomBuffer(1)).to.throw(TestModeError);
+    });
+
+    it('should produce one stream from the seed', () => {
+      Random.setTestMode(true);
+      const whole = new DeterministicRandom('sl-bsv golden').getRandomBuffer(70);
+      const rng = new DeterministicRandom('sl-bsv golden');
+      const parts = Buffer.concat([rng.getRandomBuffer(5), rng.getRandomBuffer(40), rng.getRandomBuffer(25)]);
+      expect(parts.equals(whole)).to.equal(true);
+      // SHA-256("sl-bsv golden" || 00000000)
+      expect(whole.slice(0, 8).toString('hex')).to.equal('a88916c19670038d');
+      expect(new DeterministicRandom('other').getRandomBuffer(70).equals(whole)).to.equal(false);
+      expect(() => new DeterministicRandom('')).to.throw(TypeError);
+    });
+  });
+
+  describe('Golden values', () => {
+    const golden = () => new DeterministicRandom('sl-bsv golden');
+
+    beforeEach(() => Random.setTestMode(true));
+
+    it('should generate a reproducible mnemonic', () => {
+      const phrase = 'possible emerge race coconut ability shop slight glance cliff depart agree capable';
+      expect(lib.Mnemonic.fromRandom(undefined, { random: golden() }).phrase).to.equal(phrase);
+      Random.setSource(golden());
+      expect(lib.Mnemonic.fromRandom().phrase).to.equal(phrase);
+    });
+
+    it('should generate reproducible keys through the library', () => {
+      Random.setSource(golden());
+      const key = new lib.PrivateKey();
+      expect(key).to.be.instanceOf(bsv.PrivateKey);
+      expect(key.toWIF()).to.equal('L2sKd3gPxNqgXRK5WHorDHFQAmWUfRtj9eHxcczXfiWqDbyMsdb3');
+
+      Random.setSource(golden());
+      expect(lib.PrivateKey.fromRandom('testnet').network.name).to.equal('testnet');
+
+      for (const network of ['testnet', bsv.Networks.testnet]) {
+        Random.setSource(golden());
+        const testnetKey = new lib.PrivateKey(network);
+        expect(testnetKey.network).to.equal(bsv.Networks.testnet);
+        expect(testnetKey.bn.toString(16)).to.equal(key.bn.toString(16));
+      }
+
+      Random.setSource(golden());
+      const hdKey = new lib.HDPrivateKey();
+      expect(hdKey).to.be.instanceOf(bsv.HDPrivateKey);
+      expect(hdKey.xprivkey).to.equal(
+        'xprv9s21ZrQH143K3qD7ZrohRkmcn3sAp74CMzLRJeHEnRSPuMcaHwViGRmvn5Q2SCnQiD462hYyQhB11tr9JHKtfV379v3NA5GyWSmCKTnotj6'
+      );
+    });
+
+    it('should leave keys from existing data unchanged', () => {
+      const wif = 'L2sKd3gPxNqgXRK5WHorDHFQAmWUfRtj9eHxcczXfiWqDbyMsdb3';
+      expect(new lib.PrivateKey(wif).toWIF()).to.equal(wif);
+      expect(lib.PrivateKey.fromWIF(wif).toWIF()).to.equal(wif);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const util = require('util');
+const chai = require('chai');
+const expect = chai.expect;
+const SecureBuffer = require('../../src/crypto/secure-buffer');
+
+describe('SecureBuffer', () => {
+  describe('Construction', () => {
+    it('should copy data into its own memory', () => {
+      const source = Buffer.from('00112233', 'hex');
+      const secret = SecureBuffer.from(source);
+      expect(secret.toBuffer()).to.not.equal(source);
+      expect(secret.toString('hex')).to.equal('00112233');
+      expect(source.toString('hex')).to.equal('00112233');
+    });
+
+    it('should take ownership of a buffer', () => {
+      const buffer = Buffer.from('secret');
+      const secret = new SecureBuffer(buffer);
+      expect(secret.toBuffer()).to.equal(buffer);
+      secret.dispose();
+      expect(buffer.every(byte => byte === 0)).to.equal(true);
+    });
+
+    it('should encode strings', () => {
+      expect(SecureBuffer.from('abandon').toString('utf8')).to.equal('abandon');
+      expect(SecureBuffer.from('ff00', 'hex').length).to.equal(2);
+    });
+
+    it('should reject other data', () => {
+      expect(() => new SecureBuffer('secret')).to.throw(TypeError);
+      expect(() => SecureBuffer.from(42)).to.throw(TypeError);
+    });
+  });
+
+  describe('Disposal', () => {
+    it('should zero the bytes and throw on use', () => {
+      const secret = SecureBuffer.from('deadbeef', 'hex');
+      const buffer = secret.toBuffer();
+      secret.dispose();
+      expect(secret.isDisposed).to.equal(true);
+      expect(buffer.toString('hex')).to.equal('00000000');
+      expect(() => secret.toBuffer()).to.throw(SecureBuffer.DisposedError);
+      expect(() => secret.toString('hex')).to.throw(SecureBuffer.DisposedError);
+      expect(() => secret.length).to.throw(SecureBuffer.DisposedError);
+    });
+
+    it('should treat wipe as dispose and allow repeated calls', () => {
+      const secret = SecureBuffer.from('secret');
+      secret.wipe();
+      expect(() => secret.dispose()).to.not.throw();
+      expect(secret.isDisposed).to.equal(true);
+    });
+  });
+
+  describe('Comparison and inspection', () => {
+    it('should compare contents', () => {
+      const secret = SecureBuffer.from('abcd', 'hex');
+      expect(secret.equals(SecureBuffer.from('abcd', 'hex'))).to.equal(true);
+      expect(secret.equals(Buffer.from('abcd', 'hex'))).to.equal(true);
+      expect(secret.equals(Buffer.from('abce', 'hex'))).to.equal(false);
+      expect(secret.equals(Buffer.from('ab', 'hex'))).to.equal(false);
+    });
+
+    it('should not reveal contents', () => {
+      const secret = SecureBuffer.from('deadbeef', 'hex');
+      expect(util.inspect(secret)).to.equal('SecureBuffer <4 bytes>');
+      expect(JSON.stringify(secret)).to.equal('{}');
+      secret.dispose();
+      expect(util.inspect(secret)).to.equal('SecureBuffer <disposed>');
+    });
+
+    it('should only reveal contents given an encoding', () => {
+      const secret = SecureBuffer.from('abandon');
+      expect(secret.toString()).to.equal('SecureBuffer <7 bytes>');
+      expect(`${secret}`).to.equal('SecureBuffer <7 bytes>');
+      expect(String(secret)).to.equal('SecureBuffer <7 bytes>');
+      expect('' + secret).to.equal('SecureBuffer <7 bytes>');
+      expect(secret.toString('utf8')).to.equal('abandon');
+      secret.dispose();
+      expect(secret.toString()).to.equal('SecureBuffer <disposed>');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+'use strict'
+
+const assert = require('assert')
+const bsv = require('bsv')
+const Mnemonic = require('../../src/mnemonic')
+
+const { Bip85 } = Mnemonic
+
+describe('BIP85 Child Entropy', () => {
+  // Reference vectors from BIP85
+  const root = 'xprv9s21ZrQH143K2LBWUUQRFXhucrQqBpKdRRxNVq2zBqsx8HVqFk2uYo8kmbaLLHRdqtQpUm98uKfu3vca1LqdGhUtyoFnCNkfmXRyPXLjbKb'
+  const bip85 = new Bip85(root)
+
+  describe('Entropy', () => {
+    it('should derive the reference entropy', () => {
+      assert.strictEqual(bip85.deriveEntropy("m/83696968'/0'/0'").toString('hex'),
+        'efecfbccffea313214232d29e71563d941229afb4338c21f9517c41aaa0d16f0' +
+        '0b83d2a09ef747e7a64e8e2bd5a14869e693da66ce94ac2da570ab7ee48618f7')
+      assert.strictEqual(bip85.deriveEntropy("m/83696968'/0'/1'").toString('hex'),
+        '70c6e3e8ebee8dc4c0dbba66076819bb8c09672527c4277ca8729532ad711872' +
+        '218f826919f6b67218adde99018a6df9095ab2b58d803b5b93ec9802085a690e')
+    })
+
+    it('should reject paths outside BIP85', () => {
+      assert.throws(() => bip85.deriveEntropy("m/44'/0'/0'"), /Invalid BIP85 path/)
+      assert.throws(() => bip85.deriveEntropy("m/83696968'/0'/0"), /Invalid BIP85 path/)
+    })
+
+    it('should require a master key', () => {
+      const child = new bsv.HDPrivateKey(root).deriveChild("m/0'")
+      assert.throws(() => new Bip85(child), /requires a master key/)
+    })
+  })
+
+  describe('Applications', () => {
+    it('should derive BIP39 mnemonics', () => {
+      assert.strictEqual(bip85.deriveMnemonic().toString(),
+        'girl mad pet galaxy egg matter matrix prison refuse sense ordinary nose')
+      assert.strictEqual(bip85.deriveMnemonic({ words: 18 }).toString(),
+        'near account window bike charge season chef number sketch tomorrow excuse sniff circle vital hockey outdoor supply token')
+      assert.strictEqual(bip85.deriveMnemonic({ words: 24 }).toString(),
+        'puppy ocean match cereal symbol another shed magic wrap hammer bulb intact gadget divorce twin tonight ' +
+        'reason outdoor destroy simple truth cigar social volcano')
+    })
+
+    it('should derive BIP39 mnemonics in other languages', () => {
+      const japanese = bip85.deriveMnemonic({ wordlist: Mnemonic.Words.JAPANESE })
+      assert.strictEqual(japanese.wordlist, Mnemonic.Words.JAPANESE)
+      assert.strictEqual(japanese.toString().normalize('NFKD'),
+        'おまいり　にんてい　こふん　ぎんいろ　にんい　ぜんご　ひめい　まほう　たたみ　さとう　ざいたく　あてな'.normalize('NFKD'))
+
+      const spanish = bip85.deriveMnemonic({ words: 15, index: 2, wordlist: Mnemonic.Words.SPANISH })
+      assert.strictEqual(spanish.toString(),
+        'red mente asalto diluir sirena apoyo petróleo buey ideal ideal mundo avión grupo jarra batalla'.normalize('NFKD'))
+    })
+
+    it('should reject unsupported word counts and wordlists', () => {
+      assert.throws(() => bip85.deriveMnemonic({ words: 13 }), /Invalid word count/)
+      assert.throws(() => bip85.deriveMnemonic({ wordlist: ['custom'] }), /no BIP85 language code/)
+    })
+
+    it('should derive a WIF key', () => {
+      assert.strictEqual(bip85.deriveWIF(), 'Kzyv4uF39d4Jrw2W7UryTHwZr1zQVNk4dAFyqE6BuMrMh1Za7uhp')
+    })
+
+    it('should derive an XPRV', () => {
+      const xprv = bip85.deriveXPRV()
+      assert.strictEqual(xprv.toString(),
+        'xprv9s21ZrQH143K2srSbCSg4m4kLvPMzcWydgmKEnMmoZUurYuBuYG46c6P71UGXMzmriLzCCBvKQWBUv3vPB3m1SATMhp3uEjXHJ42jFg7myX')
+      xprv.dispose()
+      assert(xprv.isDisposed)
+    })
+
+    it('should derive hex entropy', () => {
+      assert.strictEqual(bip85.deriveHex(64),
+        '492db4698cf3b73a5a24998aa3e9d7fa96275d85724a91e71aa2d645442f8785' +
+        '55d078fd1f1f67e368976f04137b1f7a0d19232136ca50c44614af72b5582a5c')
+      assert.strictEqual(bip85.deriveHex(16, 1), 'c8513d24fefd97eeccaf9acacea3a452')
+      assert.throws(() => bip85.deriveHex(15), /16 to 64 bytes/)
+    })
+
+    it('should derive passwords', () => {
+      assert.strictEqual(bip85.derivePassword(21), 'dKLoepugzdVJvdL56ogNV')
+      assert.strictEqual(bip85.derivePassword(12, 0, 'base85'), '_s`{TW89)i4`')
+      assert.throws(() => bip85.derivePassword(19), /20 to 86 characters/)
+      assert.throws(() => bip85.derivePassword(81, 0, 'base85'), /10 to 80 characters/)
+      assert.throws(() => bip85.derivePassword(21, 0, 'hex'), /Unknown password encoding/)
+    })
+  })
+
+  describe('Mnemonic#toBip85', () => {
+    const phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+    it('should derive from the master key of a mnemonic', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      const expected = new Bip85(mnemonic.toHDPrivateKey('TREZOR')).deriveMnemonic().toString()
+      const deriver = mnemonic.toBip85('TREZOR')
+      assert.strictEqual(deriver.deriveMnemonic().toString(), expected)
+      assert.notStrictEqual(mnemonic.toBip85().deriveMnemonic().toString(), expected)
+    })
+
+    it('should stop deriving once disposed', () => {
+      const deriver = Mnemonic.fromString(phrase).toBip85()
+      deriver.dispose()
+      assert.throws(() => deriver.deriveWIF(), { name: 'DisposedError' })
+    })
+  })
+})
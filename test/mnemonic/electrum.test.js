@@ -0,0 +1,77 @@
+'use strict'
+
+const assert = require('assert')
+const bsv = require('bsv')
+const Mnemonic = require('../../src/mnemonic')
+
+const Electrum = Mnemonic.Electrum
+
+describe('Electrum Seed Phrases', () => {
+  const phrase = 'measure vicious despair street small puzzle hedgehog december foil shield loud logic'
+  const bip39Phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+  describe('Detection', () => {
+    it('should accept Electrum standard seeds', () => {
+      assert(Electrum.isValid(phrase))
+      assert(!Mnemonic.isValid(phrase))
+      assert.deepStrictEqual(Mnemonic.getSchemes(phrase), ['electrum'])
+    })
+
+    it('should reject other Electrum seed versions', () => {
+      // Electrum segwit seed (version prefix 100)
+      const segwit = 'wild father tree among universe such mobile favorite target dynamic credit identify'
+      assert(!Electrum.isValid(segwit))
+      assert(Electrum.isValid(segwit, '100'))
+      assert.deepStrictEqual(Mnemonic.getSchemes(segwit), [])
+    })
+
+    it('should report BIP39 phrases', () => {
+      assert.deepStrictEqual(Mnemonic.getSchemes(bip39Phrase), [Mnemonic.SCHEMES.BIP39])
+    })
+
+    it('should report phrases valid under both schemes', () => {
+      const both = 'original blanket grab differ bicycle orchard road miss play orbit phrase adjust'
+      assert.deepStrictEqual(Mnemonic.getSchemes(both), ['bip39', 'electrum'])
+    })
+
+    it('should ignore case, accents and extra whitespace', () => {
+      assert(Electrum.isValid('  MEASURE vicious  despair street small puzzle hedgehog december foil shield loud lógic\n'))
+    })
+  })
+
+  describe('Normalization', () => {
+    it('should remove spaces between CJK characters only', () => {
+      assert.strictEqual(Electrum.normalize('的 的 a 在'), '的的 a 在')
+      assert.strictEqual(Electrum.normalize('Über  Café'), 'uber cafe')
+    })
+  })
+
+  describe('Derivation', () => {
+    it('should derive the Electrum seed', () => {
+      assert.strictEqual(Electrum.toSeed(phrase).toString('hex'),
+        '28c26018314c3c6c171c9671946276be2908a2828b723b07d6974b81467a9ddd' +
+        '36ca5f1202aca89a49770342ed715970142e6af131b523b09b3bf62ab0f14f95')
+    })
+
+    it('should normalize the seed extension', () => {
+      assert.strictEqual(Electrum.toSeed(phrase, '  Did you ever hear the Tragedy?  ').toString('hex'),
+        'c4051d51d5bf9cf5c71922cac29e10565581dace4da4001c9e440c2fa1d66ad0' +
+        '7ee091d0c07dda299fbe88e6ae9ae151077da146838195b6062ebe2e4eeb41fc')
+    })
+
+    it('should differ from the BIP39 seed of the same phrase', () => {
+      const both = 'original blanket grab differ bicycle orchard road miss play orbit phrase adjust'
+      assert.notStrictEqual(Electrum.toSeed(both).toString('hex'), Mnemonic.fromString(both).toSeed().toString('hex'))
+    })
+
+    it('should derive the master key', () => {
+      const expected = bsv.HDPrivateKey.fromSeed(Electrum.toSeed(phrase).toBuffer()).toString()
+      assert.strictEqual(Electrum.toHDPrivateKey(phrase).toString(), expected)
+      assert(Electrum.toHDPrivateKey(phrase, '', 'testnet').toString().startsWith('tprv'))
+    })
+
+    it('should refuse to derive from non-Electrum phrases', () => {
+      assert.throws(() => Electrum.toSeed(bip39Phrase), { name: 'InvalidMnemonicError' })
+    })
+  })
+})
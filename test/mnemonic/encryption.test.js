@@ -0,0 +1,125 @@
+'use strict'
+
+const assert = require('assert')
+const Mnemonic = require('../../src/mnemonic')
+
+const { DecryptionError, MnemonicError, UnknownWordlistError } = Mnemonic.errors
+
+describe('Mnemonic Encryption', () => {
+  const phrase = 'legal winner thank year wave sausage worth useful legal winner thank yellow'
+  // Low scrypt cost keeps the tests fast
+  const fast = { N: 1024, r: 8, p: 1 }
+
+  const tamper = (blob, change) => {
+    const parsed = JSON.parse(blob)
+    change(parsed)
+    return JSON.stringify(parsed)
+  }
+
+  describe('Round trip', () => {
+    it('should restore the mnemonic with default parameters', () => {
+      const blob = Mnemonic.fromString(phrase).encrypt('correct horse')
+      const parsed = JSON.parse(blob)
+      assert.strictEqual(parsed.format, 'sl-bsv-mnemonic')
+      assert.strictEqual(parsed.version, 1)
+      assert.deepStrictEqual([parsed.kdf.name, parsed.kdf.N, parsed.kdf.r, parsed.kdf.p], ['scrypt', 1 << 17, 8, 1])
+      assert.strictEqual(parsed.cipher.name, 'aes-256-gcm')
+      assert.strictEqual(parsed.wordlist, 'ENGLISH')
+      assert.strictEqual(blob.indexOf('legal'), -1)
+      assert.strictEqual(Mnemonic.decrypt(blob, 'correct horse').phrase, phrase)
+    })
+
+    it('should record tunable KDF parameters', () => {
+      const blob = Mnemonic.fromString(phrase).encrypt('pw', { N: 2048, r: 4, p: 2 })
+      const { kdf } = JSON.parse(blob)
+      assert.deepStrictEqual([kdf.N, kdf.r, kdf.p], [2048, 4, 2])
+      assert.strictEqual(Mnemonic.decrypt(JSON.parse(blob), 'pw').phrase, phrase)
+    })
+
+    it('should keep the wordlist', () => {
+      const mnemonic = Mnemonic.fromRandom(Mnemonic.Words.JAPANESE)
+      const restored = Mnemonic.decrypt(mnemonic.encrypt('パスワード', fast), 'パスワード')
+      assert.strictEqual(restored.wordlist, Mnemonic.Words.JAPANESE)
+      assert.strictEqual(restored.phrase, mnemonic.phrase)
+    })
+
+    it('should use a fresh salt and nonce each time', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      assert.notStrictEqual(mnemonic.encrypt('pw', fast), mnemonic.encrypt('pw', fast))
+    })
+
+    it('should reject bad parameters', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      assert.throws(() => mnemonic.encrypt(''), /non-empty string/)
+      assert.throws(() => mnemonic.encrypt('pw', { N: 1000 }), /power of two/)
+      assert.throws(() => mnemonic.encrypt('pw', { N: 1 << 21 }), /power of two/)
+      assert.throws(() => mnemonic.encrypt('pw', { N: 1024, r: 0 }), /r must be/)
+    })
+
+    it('should refuse wordlists without a name', () => {
+      const custom = Mnemonic.Words.ENGLISH.slice()
+      assert.throws(() => new Mnemonic(phrase, custom).encrypt('pw', fast), UnknownWordlistError)
+    })
+  })
+
+  describe('Failures', () => {
+    const blob = Mnemonic.fromString(phrase).encrypt('pw', fast)
+
+    it('should reject a wrong password', () => {
+      assert.throws(() => Mnemonic.decrypt(blob, 'wrong'), DecryptionError)
+      assert.throws(() => Mnemonic.decrypt(blob, 'wrong'), MnemonicError)
+    })
+
+    it('should reject a tampered ciphertext or tag', () => {
+      const flip = value => {
+        const bytes = Buffer.from(value, 'base64')
+        bytes[0] ^= 1
+        return bytes.toString('base64')
+      }
+      assert.throws(() => Mnemonic.decrypt(tamper(blob, b => { b.data = flip(b.data) }), 'pw'), DecryptionError)
+      assert.throws(() => Mnemonic.decrypt(tamper(blob, b => { b.cipher.tag = flip(b.cipher.tag) }), 'pw'), DecryptionError)
+    })
+
+    it('should reject a tampered header', () => {
+      assert.throws(() => Mnemonic.decrypt(tamper(blob, b => { b.wordlist = 'FRENCH' }), 'pw'), DecryptionError)
+      assert.throws(() => Mnemonic.decrypt(tamper(blob, b => { b.kdf.N = 2048 }), 'pw'), DecryptionError)
+    })
+
+    it('should reject a truncated tag or nonce', () => {
+      const truncate = (value, length) => Buffer.from(value, 'base64').slice(0, length).toString('base64')
+      assert.throws(() => Mnemonic.decrypt(tamper(blob, b => { b.cipher.tag = truncate(b.cipher.tag, 4) }), 'pw'),
+        err => err instanceof DecryptionError && /tag must be 16 bytes/.test(err.message))
+      assert.throws(() => Mnemonic.decrypt(tamper(blob, b => { b.cipher.iv = truncate(b.cipher.iv, 8) }), 'pw'),
+        err => err instanceof DecryptionError && /iv must be 12 bytes/.test(err.message))
+    })
+
+    it('should reject malformed backups', () => {
+      assert.throws(() => Mnemonic.decrypt('not json', 'pw'), /not valid JSON/)
+      assert.throws(() => Mnemonic.decrypt('{}', 'pw'), /Not a mnemonic backup/)
+      assert.throws(() => Mnemonic.decrypt(tamper(blob, b => { b.version = 2 }), 'pw'), /Unsupported backup version: 2/)
+      assert.throws(() => Mnemonic.decrypt(tamper(blob, b => { b.kdf.N = 1 << 24 }), 'pw'), DecryptionError)
+      assert.throws(() => Mnemonic.decrypt(tamper(blob, b => { b.wordlist = 'KLINGON' }), 'pw'), /Unknown wordlist/)
+      assert.throws(() => Mnemonic.decrypt(tamper(blob, b => { delete b.cipher.tag }), 'pw'), /Malformed backup/)
+    })
+
+    it('should reject costly KDF parameters before running scrypt', () => {
+      const deriveKey = Mnemonic.Encryption._deriveKey
+      let calls = 0
+      Mnemonic.Encryption._deriveKey = (...args) => {
+        calls++
+        return deriveKey(...args)
+      }
+      try {
+        // Each value is within its own bound, but 4 GiB or 16 passes of 256 MiB in total
+        for (const kdf of [{ N: 1 << 20, r: 32, p: 1 }, { N: 1 << 18, r: 8, p: 16 }, { N: 1 << 20, r: 8, p: 2 }]) {
+          assert.throws(() => Mnemonic.decrypt(tamper(blob, b => Object.assign(b.kdf, kdf)), 'pw'),
+            err => err instanceof DecryptionError && /must not exceed 256 MiB/.test(err.message))
+        }
+        assert.strictEqual(calls, 0)
+      } finally {
+        Mnemonic.Encryption._deriveKey = deriveKey
+      }
+      assert.throws(() => Mnemonic.fromString(phrase).encrypt('pw', { N: 1 << 20, r: 8, p: 1 }), /256 MiB/)
+    })
+  })
+})
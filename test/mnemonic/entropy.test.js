@@ -0,0 +1,96 @@
+'use strict'
+
+const assert = require('assert')
+const Mnemonic = require('../../src/mnemonic')
+
+const { InvalidEntropyError, InsufficientEntropyError } = Mnemonic.errors
+
+describe('Mnemonic User Entropy', () => {
+  // Expected values are the leading bytes of `printf '%s' "$rolls" | sha256sum`
+  const d6Rolls = '1234561234561234561234561234561234561234561234561234'
+  const d6Entropy = '09c8ff8e7c99300e2ec65d0bcc99105c'
+  const d20Rolls = '1 20 7 13 5 19 2 11 17 8 4 16 10 3 14 6 9 12 15 18 20 1 5 7 9 11 13 15 17 19 2 4'
+  const d20Entropy = 'f5aae115bd52f49c81d396523a3093b5'
+
+  describe('Dice', () => {
+    it('should hash d6 rolls into reproducible entropy', () => {
+      const mnemonic = Mnemonic.fromUserEntropy(d6Rolls, { type: 'd6' })
+      assert.strictEqual(mnemonic.toEntropy().toString('hex'), d6Entropy)
+      assert.strictEqual(mnemonic.toString(), Mnemonic.fromUserEntropy(d6Rolls, { type: 'd6' }).toString())
+    })
+
+    it('should ignore whitespace between d6 rolls', () => {
+      const spaced = d6Rolls.match(/.{1,6}/g).join(' ')
+      assert.strictEqual(
+        Mnemonic.fromUserEntropy(spaced, { type: 'd6' }).toString(),
+        Mnemonic.fromUserEntropy(d6Rolls, { type: 'd6' }).toString()
+      )
+    })
+
+    it('should hash d20 rolls in canonical form', () => {
+      const mnemonic = Mnemonic.fromUserEntropy(d20Rolls.replace(/ /g, ', '), { type: 'd20' })
+      assert.strictEqual(mnemonic.toEntropy().toString('hex'), d20Entropy)
+    })
+
+    it('should use the full digest for 24 words', () => {
+      const mnemonic = Mnemonic.fromUserEntropy(d6Rolls + d6Rolls, { type: 'd6', bits: 256 })
+      assert.strictEqual(mnemonic.toString().split(' ').length, 24)
+    })
+
+    it('should require enough rolls', () => {
+      assert.strictEqual(Mnemonic.UserEntropy.minimumRolls(6, 128), 50)
+      assert.strictEqual(Mnemonic.UserEntropy.minimumRolls(6, 256), 100)
+      assert.strictEqual(Mnemonic.UserEntropy.minimumRolls(20, 128), 30)
+      assert.throws(() => Mnemonic.fromUserEntropy(d6Rolls.slice(0, 49), { type: 'd6' }), InsufficientEntropyError)
+      assert.throws(() => Mnemonic.fromUserEntropy(d6Rolls, { type: 'd6', bits: 256 }), InsufficientEntropyError)
+    })
+
+    it('should reject rolls out of range', () => {
+      assert.throws(() => Mnemonic.fromUserEntropy(d6Rolls.replace('1', '7'), { type: 'd6' }), InvalidEntropyError)
+      assert.throws(() => Mnemonic.fromUserEntropy(d6Rolls.replace('1', '0'), { type: 'd6' }), InvalidEntropyError)
+      assert.throws(() => Mnemonic.fromUserEntropy(d20Rolls.replace('20', '21'), { type: 'd20' }), InvalidEntropyError)
+    })
+  })
+
+  describe('Coin flips and hex', () => {
+    it('should use coin flips as entropy bits', () => {
+      const flips = 'HT'.repeat(64)
+      const mnemonic = Mnemonic.fromUserEntropy(flips, { type: 'coin' })
+      assert.strictEqual(mnemonic.toEntropy().toString('hex'), 'aa'.repeat(16))
+      assert.strictEqual(Mnemonic.fromUserEntropy('10'.repeat(64), { type: 'coin' }).toString(), mnemonic.toString())
+    })
+
+    it('should use hex digits as entropy', () => {
+      const hex = '7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f'
+      assert.strictEqual(
+        Mnemonic.fromUserEntropy(hex.toUpperCase(), { type: 'hex' }).toString(),
+        'legal winner thank year wave sausage worth useful legal winner thank yellow'
+      )
+    })
+
+    it('should require exactly the requested number of bits', () => {
+      assert.throws(() => Mnemonic.fromUserEntropy('H'.repeat(127), { type: 'coin' }), InsufficientEntropyError)
+      assert.throws(() => Mnemonic.fromUserEntropy('H'.repeat(129), { type: 'coin' }), InvalidEntropyError)
+      assert.throws(() => Mnemonic.fromUserEntropy('ab'.repeat(15), { type: 'hex' }), InsufficientEntropyError)
+      assert.throws(() => Mnemonic.fromUserEntropy('zz'.repeat(16), { type: 'hex' }), InvalidEntropyError)
+    })
+
+    it('should reject unknown entropy types', () => {
+      assert.throws(() => Mnemonic.fromUserEntropy(d6Rolls, { type: 'd8' }), /Unknown entropy type/)
+    })
+  })
+
+  describe('Mixing', () => {
+    it('should mix user entropy with the system RNG', () => {
+      const first = Mnemonic.fromUserEntropy(d6Rolls, { type: 'd6', mix: true })
+      const second = Mnemonic.fromUserEntropy(d6Rolls, { type: 'd6', mix: true })
+      assert(Mnemonic.isValid(first.toString()))
+      assert.notStrictEqual(first.toEntropy().toString('hex'), d6Entropy)
+      assert.notStrictEqual(first.toString(), second.toString())
+    })
+
+    it('should still enforce the minimum entropy when mixing', () => {
+      assert.throws(() => Mnemonic.fromUserEntropy('123', { type: 'd6', mix: true }), InsufficientEntropyError)
+    })
+  })
+})
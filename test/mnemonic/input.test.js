@@ -0,0 +1,126 @@
+'use strict'
+
+const assert = require('assert')
+const Mnemonic = require('../../src/mnemonic')
+
+const { InvalidMnemonicError, InvalidWordCountError, UnknownWordError } = Mnemonic.errors
+const STATUS = Mnemonic.Input.STATUS
+
+describe('Mnemonic Input', () => {
+  const enter = (input, words) => words.forEach(word => input.add(word))
+
+  describe('Keystrokes', () => {
+    it('should complete prefixes', () => {
+      const input = new Mnemonic.Input()
+      const result = input.complete('Abs')
+      assert.deepStrictEqual(result.completions, ['absent', 'absorb', 'abstract', 'absurd'])
+      assert.strictEqual(result.prefix, 'abs')
+      assert.strictEqual(result.invalid, false)
+      assert.deepStrictEqual(input.complete('').completions, [])
+    })
+
+    it('should flag a prefix no word starts with', () => {
+      const result = new Mnemonic.Input().complete('abx')
+      assert.strictEqual(result.invalid, true)
+      assert.deepStrictEqual(result.completions, [])
+      assert(result.suggestions.length > 0)
+    })
+
+    it('should only offer checksum words for the last word', () => {
+      const input = new Mnemonic.Input({ wordCount: 24 })
+      enter(input, new Array(23).fill('abandon'))
+      assert.deepStrictEqual(input.complete('a').completions, ['art'])
+      assert.strictEqual(input.complete('ab').invalid, true)
+    })
+  })
+
+  describe('Words', () => {
+    it('should accept words and unique prefixes', () => {
+      const input = new Mnemonic.Input()
+      assert.strictEqual(input.add('abandon'), 'abandon')
+      assert.strictEqual(input.add(' ABOU '), 'about')
+      assert.deepStrictEqual(input.words, ['abandon', 'about'])
+      assert.strictEqual(input.removeLast(), 'about')
+      assert.strictEqual(input.length, 1)
+      input.clear()
+      assert.strictEqual(input.removeLast(), null)
+    })
+
+    it('should reject unknown words immediately', () => {
+      const input = new Mnemonic.Input()
+      input.add('abandon')
+      assert.throws(() => input.add('abandn'), err => {
+        assert(err instanceof UnknownWordError)
+        assert.strictEqual(err.index, 1)
+        assert.strictEqual(err.suggestions[0], 'abandon')
+        return true
+      })
+      assert.throws(() => input.add('ab'), UnknownWordError)
+      assert.strictEqual(input.length, 1)
+    })
+
+    it('should stop at the expected word count', () => {
+      const input = new Mnemonic.Input({ wordCount: 12 })
+      enter(input, new Array(12).fill('zoo'))
+      assert.throws(() => input.add('zoo'), InvalidMnemonicError)
+      assert.throws(() => new Mnemonic.Input({ wordCount: 13 }), InvalidWordCountError)
+    })
+  })
+
+  describe('Final Word', () => {
+    it('should list every word completing a valid checksum', () => {
+      for (const wordCount of [12, 15, 18, 21, 24]) {
+        const input = new Mnemonic.Input()
+        const words = Mnemonic.fromRandom().phrase.split(' ')
+        enter(input, words.concat(words).slice(0, wordCount - 1))
+        assert.strictEqual(input.status, STATUS.FINAL)
+
+        const expected = Mnemonic.Words.ENGLISH.filter(word => {
+          return Mnemonic.isValid(input.words.concat(word).join(' '), Mnemonic.Words.ENGLISH)
+        })
+        assert.deepStrictEqual(input.finalWords(), expected)
+        assert.strictEqual(expected.length, 1 << (11 - wordCount / 3))
+      }
+    })
+
+    it('should match the known last words of a zero phrase', () => {
+      const input = new Mnemonic.Input()
+      enter(input, new Array(11).fill('abandon'))
+      assert.deepStrictEqual(input.finalWords().slice(0, 3), ['about', 'actual', 'age'])
+      assert.deepStrictEqual(new Mnemonic.Input().finalWords(), [])
+    })
+
+    it('should work for other wordlists', () => {
+      const mnemonic = Mnemonic.fromRandom(Mnemonic.Words.JAPANESE)
+      const words = mnemonic.phrase.split('\u3000')
+      const input = new Mnemonic.Input({ wordlist: Mnemonic.Words.JAPANESE })
+      enter(input, words.slice(0, 11))
+      assert(input.finalWords().indexOf(words[11]) >= 0)
+      input.add(words[11])
+      assert.strictEqual(input.toMnemonic().phrase, mnemonic.phrase)
+    })
+  })
+
+  describe('Status', () => {
+    it('should move through entry states', () => {
+      const input = new Mnemonic.Input()
+      assert.strictEqual(input.status, STATUS.ENTERING)
+      enter(input, new Array(11).fill('abandon'))
+      assert.strictEqual(input.status, STATUS.FINAL)
+      input.add('zoo')
+      assert.strictEqual(input.status, STATUS.INVALID)
+      assert.throws(() => input.toMnemonic(), InvalidMnemonicError)
+      input.removeLast()
+      input.add('about')
+      assert.strictEqual(input.status, STATUS.VALID)
+      assert.strictEqual(input.toMnemonic().phrase, new Array(11).fill('abandon').concat('about').join(' '))
+    })
+
+    it('should refuse an incomplete phrase', () => {
+      const input = new Mnemonic.Input({ wordCount: 24 })
+      enter(input, new Array(11).fill('abandon').concat('about'))
+      assert.strictEqual(input.status, STATUS.ENTERING)
+      assert.throws(() => input.toMnemonic(), InvalidWordCountError)
+    })
+  })
+})
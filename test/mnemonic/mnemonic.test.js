@@ -1,7 +1,16 @@
 'use strict'
 
 const assert = require('assert')
+const bsv = require('bsv')
+const crypto = require('crypto')
+const util = require('util')
 const Mnemonic = require('../../src/mnemonic')
+const SecureBuffer = require('../../src/crypto/secure-buffer')
+const fixtures = require('./data/fixtures')
+
+// Vectors with entropy beyond 32 bytes only work on the deprecated overloads
+const isStandardVector = ([, entropy]) => Mnemonic.ENTROPY_LENGTHS.indexOf(entropy.length / 2) >= 0
+const legacyVectors = fixtures.english.filter(vector => !isStandardVector(vector))
 
 describe('Secure Mnemonic Implementation', () => {
   describe('Basic Operations', () => {
@@ -29,10 +38,20 @@ describe('Secure Mnemonic Implementation', () => {
     it('should generate valid seed', () => {
       const mnemonic = Mnemonic.fromRandom()
       const seed = mnemonic.toSeed()
-      assert(Buffer.isBuffer(seed))
+      // toSeed() used to return a Buffer; seed.toBuffer() gives the bytes now
+      assert(seed instanceof SecureBuffer)
       assert.strictEqual(seed.length, 64)
     })
 
+    it('should keep the seed out of errors when passed where a Buffer is expected', () => {
+      const seed = Mnemonic.fromRandom().toSeed()
+      assert.throws(() => bsv.HDPrivateKey.fromSeed(seed), err => {
+        const message = String(err.message)
+        return !message.includes(seed.toString('hex')) && !message.includes(seed.toString('utf8'))
+      })
+      assert(bsv.HDPrivateKey.fromSeed(seed.toBuffer()) instanceof bsv.HDPrivateKey)
+    })
+
     it('should generate different seeds with different passphrases', () => {
       const mnemonic = Mnemonic.fromRandom()
       const seed1 = mnemonic.toSeed('passphrase1')
@@ -80,5 +99,430 @@ describe('Secure Mnemonic Implementation', () => {
       const mnemonic = new Mnemonic(phrase)
       assert(mnemonic.wordlist === Mnemonic.Words.ENGLISH)
     })
+
+    it('should ship every official BIP39 wordlist', () => {
+      const names = ['ENGLISH', 'CHINESE_SIMPLIFIED', 'CHINESE_TRADITIONAL', 'CZECH', 'FRENCH',
+        'ITALIAN', 'JAPANESE', 'KOREAN', 'PORTUGUESE', 'SPANISH']
+      assert.deepStrictEqual(Object.keys(Mnemonic.Words), names)
+      for (const name of names) {
+        assert.strictEqual(Mnemonic.Words[name].length, 2048)
+        assert(Object.isFrozen(Mnemonic.Words[name]))
+      }
+    })
+
+    it('should detect each language from a generated phrase', () => {
+      for (const name of Object.keys(Mnemonic.Words)) {
+        const wordlist = Mnemonic.Words[name]
+        const phrase = Mnemonic._entropy2mnemonic(Buffer.alloc(16, 0x5a), wordlist)
+        assert.strictEqual(new Mnemonic(phrase).wordlist, wordlist, name)
+      }
+    })
+
+    it('should prefer simplified Chinese when both Chinese lists decode alike', () => {
+      const phrase = Mnemonic._entropy2mnemonic(Buffer.alloc(16), Mnemonic.Words.CHINESE_SIMPLIFIED)
+      assert.strictEqual(Mnemonic._getDictionaries(phrase).length, 2)
+      assert.strictEqual(new Mnemonic(phrase).wordlist, Mnemonic.Words.CHINESE_SIMPLIFIED)
+    })
+
+    it('should detect traditional Chinese from characters only it contains', () => {
+      const entropy = Buffer.from('ffffffffffffffffffffffffffffffff', 'hex')
+      const phrase = Mnemonic._entropy2mnemonic(entropy, Mnemonic.Words.CHINESE_TRADITIONAL)
+      assert(!Mnemonic._belongsToWordlist(phrase, Mnemonic.Words.CHINESE_SIMPLIFIED))
+      assert.strictEqual(new Mnemonic(phrase).wordlist, Mnemonic.Words.CHINESE_TRADITIONAL)
+    })
+
+    it('should use the checksum to choose between overlapping lists', () => {
+      const prefix = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon '
+      assert.strictEqual(new Mnemonic(prefix + 'brave').wordlist, Mnemonic.Words.FRENCH)
+      assert.strictEqual(new Mnemonic(prefix + 'angle').wordlist, Mnemonic.Words.ENGLISH)
+    })
+
+    it('should reject phrases valid in several lists with different entropy', () => {
+      const phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon amateur double'
+      assert(Mnemonic.isValid(phrase))
+      assert.throws(() => new Mnemonic(phrase), { name: 'AmbiguousWordlistError' })
+      assert.strictEqual(new Mnemonic(phrase, Mnemonic.Words.FRENCH).wordlist, Mnemonic.Words.FRENCH)
+    })
+
+    it('should join Japanese phrases with ideographic spaces', () => {
+      const mnemonic = Mnemonic.fromRandom(Mnemonic.Words.JAPANESE)
+      assert.strictEqual(mnemonic.toString().split('\u3000').length, 12)
+      assert(Mnemonic.isValid(mnemonic.toString()))
+
+      const spaced = mnemonic.toString().split('\u3000').join(' ')
+      assert(Mnemonic.isValid(spaced, Mnemonic.Words.JAPANESE))
+      assert.strictEqual(new Mnemonic(spaced).toString(), mnemonic.toString())
+    })
+  })
+
+  describe('Entropy', () => {
+    it('should round-trip every valid entropy length', () => {
+      for (const length of [16, 20, 24, 28, 32]) {
+        const entropy = Buffer.alloc(length, 0xa5)
+        const mnemonic = Mnemonic.fromEntropy(entropy)
+        assert.strictEqual(mnemonic.phrase.split(' ').length, length * 3 / 4)
+        assert.strictEqual(mnemonic.toEntropy().toString('hex'), entropy.toString('hex'))
+      }
+    })
+
+    it('should reject invalid entropy', () => {
+      for (const length of [0, 15, 17, 33, 64]) {
+        assert.throws(() => Mnemonic.fromEntropy(Buffer.alloc(length)), { name: 'InvalidEntropyError' })
+      }
+      assert.throws(() => Mnemonic.fromEntropy('00'.repeat(16)), Mnemonic.errors.InvalidEntropyError)
+    })
+
+    it('should use the given wordlist', () => {
+      const mnemonic = Mnemonic.fromEntropy(Buffer.alloc(16), Mnemonic.Words.SPANISH)
+      assert.strictEqual(mnemonic.wordlist, Mnemonic.Words.SPANISH)
+      assert.strictEqual(mnemonic.toEntropy().toString('hex'), '00'.repeat(16))
+    })
+
+    it('should keep deprecated Buffer overloads working with a warning', () => {
+      const warnings = []
+      const emitWarning = process.emitWarning
+      process.emitWarning = (message, type, code) => warnings.push({ type, code })
+      try {
+        const entropy = Buffer.alloc(16, 0x7f)
+        const expected = Mnemonic.fromEntropy(entropy).phrase
+        assert.strictEqual(new Mnemonic(entropy).phrase, expected)
+        assert.strictEqual(Mnemonic.fromSeed(entropy, Mnemonic.Words.ENGLISH).phrase, expected)
+
+        // Entropy beyond 32 bytes keeps working on the deprecated overloads only,
+        // as in the 48-word vectors
+        assert.strictEqual(legacyVectors.length, 1)
+        for (const [passphrase, hex, phrase, seed] of legacyVectors) {
+          const long = Buffer.from(hex, 'hex')
+          const mnemonic = new Mnemonic(long)
+          assert.strictEqual(mnemonic.phrase, phrase)
+          assert.strictEqual(mnemonic.toSeed(passphrase).toString('hex'), seed)
+          assert.strictEqual(Mnemonic.fromSeed(long, Mnemonic.Words.ENGLISH).toEntropy().toString('hex'), hex)
+          assert.throws(() => Mnemonic.fromEntropy(long), Mnemonic.errors.InvalidEntropyError)
+          assert.throws(() => new Mnemonic(phrase), Mnemonic.errors.InvalidWordCountError)
+        }
+      } finally {
+        process.emitWarning = emitWarning
+      }
+      assert.deepStrictEqual(warnings, [
+        { type: 'DeprecationWarning', code: 'SLBSV_MNEMONIC_BUFFER' },
+        { type: 'DeprecationWarning', code: 'SLBSV_MNEMONIC_FROM_SEED' }
+      ])
+    })
+
+    it('should match the binary string encoding bit for bit', () => {
+      const toBits = buffer => Array.from(buffer, byte => byte.toString(2).padStart(8, '0')).join('')
+      for (const length of Mnemonic.ENTROPY_LENGTHS) {
+        const entropy = crypto.randomBytes(length)
+        const hash = crypto.createHash('sha256').update(entropy).digest()
+        const checksum = toBits(hash).slice(0, length / 4)
+        const expected = (toBits(entropy) + checksum).match(/.{11}/g)
+          .map(bits => Mnemonic.Words.ENGLISH[parseInt(bits, 2)])
+          .join(' ')
+
+        assert.strictEqual(Mnemonic._entropyChecksum(entropy), checksum)
+        assert.strictEqual(Mnemonic._entropy2mnemonic(entropy, Mnemonic.Words.ENGLISH), expected)
+        assert(Mnemonic._mnemonic2entropy(expected, Mnemonic.Words.ENGLISH).equals(entropy))
+      }
+    })
+
+    it('should cache word indexes of frozen wordlists only', () => {
+      const english = Mnemonic._wordIndexes(Mnemonic.Words.ENGLISH)
+      assert.strictEqual(Mnemonic._wordIndexes(Mnemonic.Words.ENGLISH), english)
+      assert.strictEqual(english.get('zoo'), 2047)
+
+      const custom = ['b', 'a', 'b']
+      assert.notStrictEqual(Mnemonic._wordIndexes(custom), Mnemonic._wordIndexes(custom))
+      assert.strictEqual(Mnemonic._wordIndexes(custom).get('b'), 0)
+    })
+  })
+
+  describe('Legacy Checksum Mode', () => {
+    const legacy = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon zoo'
+    let warnings
+    let emitWarning
+
+    beforeEach(() => {
+      warnings = []
+      emitWarning = process.emitWarning
+      process.emitWarning = (message, type, code) => warnings.push({ type, code })
+    })
+
+    afterEach(() => {
+      process.emitWarning = emitWarning
+    })
+
+    it('should reject invalid checksums unless opted in', () => {
+      assert.throws(() => new Mnemonic(legacy), Mnemonic.errors.ChecksumMismatchError)
+      const mnemonic = Mnemonic.fromString(legacy, Mnemonic.Words.ENGLISH, { allowInvalidChecksum: true })
+      assert.strictEqual(mnemonic.phrase, legacy)
+      assert.strictEqual(mnemonic.isStandard, false)
+      assert.strictEqual(mnemonic.warnings.length, 1)
+      assert.deepStrictEqual(warnings, [{ type: 'MnemonicWarning', code: 'SLBSV_MNEMONIC_INVALID_CHECKSUM' }])
+    })
+
+    it('should emit the process warning once', () => {
+      const mnemonic = new Mnemonic(legacy, null, { allowInvalidChecksum: true })
+      Mnemonic.fromIndices(mnemonic.toIndices(), null, { allowInvalidChecksum: true })
+      Mnemonic.fromJSON(mnemonic.toSecretJSON())
+      assert.strictEqual(mnemonic.warnings.length, 1)
+      assert.deepStrictEqual(warnings, [])
+    })
+
+    it('should derive the seed from the phrase as written', () => {
+      const mnemonic = new Mnemonic(legacy, null, { allowInvalidChecksum: true })
+      // PBKDF2-HMAC-SHA512 of the phrase, as computed by other BIP39 implementations
+      assert.strictEqual(mnemonic.toSeed().toString('hex').slice(0, 16), '625e07998d552de9')
+      assert.strictEqual(mnemonic.toHDPrivateKey().depth, 0)
+    })
+
+    it('should still require known words and a valid word count', () => {
+      const options = { allowInvalidChecksum: true }
+      assert.throws(() => new Mnemonic(legacy.replace('zoo', 'zzz'), null, options), Mnemonic.errors.UnknownWordError)
+      assert.throws(() => new Mnemonic('abandon zoo', null, options), Mnemonic.errors.InvalidWordCountError)
+    })
+
+    it('should leave valid phrases standard', () => {
+      const mnemonic = Mnemonic.fromString(fixtures.english[0][2], Mnemonic.Words.ENGLISH, { allowInvalidChecksum: true })
+      assert.strictEqual(mnemonic.isStandard, true)
+      assert.deepStrictEqual(mnemonic.warnings, [])
+      assert.deepStrictEqual(warnings, [])
+    })
+
+    it('should refuse exports rebuilt from the entropy', () => {
+      const mnemonic = new Mnemonic(legacy, null, { allowInvalidChecksum: true })
+      assert.throws(() => mnemonic.toEntropy(), /Cannot export the entropy of a non-standard phrase/)
+      assert.throws(() => mnemonic.toSlip39Shares(), Mnemonic.errors.ChecksumMismatchError)
+      assert.throws(() => mnemonic.toSeedQR({ compact: true }), Mnemonic.errors.ChecksumMismatchError)
+      assert.throws(() => mnemonic.encrypt('pw', { N: 1024 }), Mnemonic.errors.ChecksumMismatchError)
+      assert.strictEqual(Mnemonic.fromIndices(mnemonic.toIndices(), null, { allowInvalidChecksum: true }).phrase, legacy)
+    })
+  })
+
+  describe('Disposal', () => {
+    const phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+    const { DisposedError } = SecureBuffer
+
+    it('should wipe the phrase and entropy', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      assert(!mnemonic.isDisposed)
+      mnemonic.dispose()
+      assert(mnemonic.isDisposed)
+      assert.throws(() => mnemonic.phrase, DisposedError)
+      assert.throws(() => mnemonic.toString(), DisposedError)
+      assert.throws(() => mnemonic.toSeed(), DisposedError)
+      assert.throws(() => mnemonic.toEntropy(), DisposedError)
+      assert.throws(() => mnemonic.toHDPrivateKey(), DisposedError)
+      assert.doesNotThrow(() => mnemonic.wipe())
+    })
+
+    it('should keep secrets out of JSON', () => {
+      assert.strictEqual(JSON.stringify(Mnemonic.fromString(phrase)).indexOf('abandon'), -1)
+    })
+
+    it('should return seeds and entropy in separate containers', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      const seed = mnemonic.toSeed()
+      const entropy = mnemonic.toEntropy()
+      seed.dispose()
+      entropy.dispose()
+      assert.strictEqual(mnemonic.toEntropy().toString('hex'), '00'.repeat(16))
+      assert.strictEqual(mnemonic.toSeed().length, 64)
+    })
+
+    it('should return disposable HD keys', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      const key = mnemonic.deriveAddressKey(0)
+      const xpub = key.hdPublicKey.toString()
+      assert(key instanceof bsv.HDPrivateKey)
+      assert(!key.isDisposed)
+      key.dispose()
+      assert(key.isDisposed)
+      assert.throws(() => key.toString(), DisposedError)
+      assert.throws(() => key.privateKey, DisposedError)
+      assert.strictEqual(mnemonic.deriveAddressKey(0).hdPublicKey.toString(), xpub)
+    })
+  })
+
+  describe('Async Seed Generation', () => {
+    const phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+    it('should resolve to the same seed as toSeed', async () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      const seed = await mnemonic.toSeedAsync('TREZOR')
+      assert.strictEqual(seed.toString('hex'), mnemonic.toSeed('TREZOR').toString('hex'))
+    })
+
+    it('should reject a non-string passphrase', async () => {
+      await assert.rejects(Mnemonic.fromString(phrase).toSeedAsync(42), /Passphrase must be a string/)
+    })
+
+    it('should reject when the signal is already aborted', async () => {
+      const controller = new AbortController()
+      controller.abort()
+      await assert.rejects(
+        Mnemonic.fromString(phrase).toSeedAsync('', { signal: controller.signal }),
+        { name: 'AbortError' }
+      )
+    })
+
+    it('should reject when aborted while running', async () => {
+      const controller = new AbortController()
+      const promise = Mnemonic.fromString(phrase).toSeedAsync('', { signal: controller.signal })
+      controller.abort()
+      await assert.rejects(promise, { name: 'AbortError' })
+    })
+  })
+
+  describe('HD Keys', () => {
+    const phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+    it('should derive the BIP32 master key from the seed', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      const hdPrivateKey = mnemonic.toHDPrivateKey('TREZOR')
+      assert.strictEqual(hdPrivateKey.toString(),
+        'xprv9s21ZrQH143K3h3fDYiay8mocZ3afhfULfb5GX8kCBdno77K4HiA15Tg23wpbeF1pLfs1c5SPmYHrEpTuuRhxMwvKDwqdKiGJS9XFKzUsAF')
+      assert.strictEqual(mnemonic.toHDPublicKey('TREZOR').toString(), hdPrivateKey.hdPublicKey.toString())
+    })
+
+    it('should derive BSV BIP44 keys', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      const master = bsv.HDPrivateKey.fromSeed(mnemonic.toSeed().toBuffer())
+      assert.strictEqual(mnemonic.deriveAccountKey(1).toString(), master.deriveChild("m/44'/236'/1'").toString())
+      assert.strictEqual(
+        mnemonic.deriveAddressKey(5, { account: 2, change: 1 }).toString(),
+        master.deriveChild("m/44'/236'/2'/1/5").toString()
+      )
+    })
+
+    it('should build derivation paths', () => {
+      assert.strictEqual(Mnemonic.derivationPath(), "m/44'/236'/0'")
+      assert.strictEqual(Mnemonic.derivationPath(3, 1), "m/44'/236'/3'/1")
+      assert.strictEqual(Mnemonic.derivationPath(0, 0, 7), "m/44'/236'/0'/0/7")
+      assert.throws(() => Mnemonic.derivationPath(-1), Error)
+      assert.throws(() => Mnemonic.derivationPath(0, 2), Error)
+      assert.throws(() => Mnemonic.derivationPath(0, 0, 0x80000000), Error)
+    })
+
+    it('should support test networks', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      assert(mnemonic.toHDPrivateKey('', 'testnet').toString().startsWith('tprv'))
+      assert(mnemonic.toHDPublicKey('', 'stn').toString().startsWith('tpub'))
+      assert.throws(() => mnemonic.toHDPrivateKey('', 'nonet'), /Unknown network/)
+    })
+  })
+
+  describe('Fingerprint', () => {
+    const phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+    it('should return the BIP32 master fingerprint', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      assert.deepStrictEqual(mnemonic.fingerprint(), { fingerprint: '73c5da0a', id: 'inherit conduct little' })
+      assert.strictEqual(mnemonic.fingerprint('TREZOR').fingerprint, 'b4e3f5ed')
+      assert.strictEqual(Mnemonic.fromString('legal winner thank year wave sausage worth useful legal winner thank yellow')
+        .fingerprint('TREZOR').fingerprint, '1ddb040f')
+    })
+
+    it('should confirm a passphrase against stored fingerprints', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      const stored = mnemonic.fingerprint('TREZOR')
+      for (const form of [stored, stored.fingerprint, '0xB4E3F5ED', 0xb4e3f5ed, Buffer.from('b4e3f5ed', 'hex'), ' Reject  CABBAGE kitten ']) {
+        assert.strictEqual(mnemonic.confirmPassphrase('TREZOR', form), true)
+      }
+      assert.strictEqual(mnemonic.confirmPassphrase('trezor', stored), false)
+      assert.strictEqual(mnemonic.confirmPassphrase('', stored.id), false)
+    })
+
+    it('should round-trip every fingerprint through its id', () => {
+      for (const fingerprint of [0, 1, 0x7fffffff, 0x80000000, 0xffffffff, crypto.randomBytes(4).readUInt32BE(0)]) {
+        const id = Mnemonic._fingerprintWords(fingerprint)
+        assert.strictEqual(Mnemonic._parseFingerprint(id), fingerprint.toString(16).padStart(8, '0'))
+      }
+    })
+
+    it('should reject malformed fingerprints', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      for (const stored of ['73c5da0', 'zzzzzzzz', 'inherit conduct', 'inherit conduct zoo', 0x100000000, -1, Buffer.alloc(3), {}, null]) {
+        assert.throws(() => mnemonic.confirmPassphrase('', stored), /Fingerprint must be/)
+      }
+    })
+  })
+
+  describe('Serialization', () => {
+    const phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+    it('should render redacted', () => {
+      const mnemonic = Mnemonic.fromString(phrase)
+      assert.strictEqual(util.inspect(mnemonic), 'Mnemonic <12 words, ENGLISH, redacted>')
+      assert.strictEqual(util.inspect({ wallet: mnemonic }).indexOf('abandon'), -1)
+      assert.deepStrictEqual(JSON.parse(JSON.stringify({ mnemonic })).mnemonic,
+        { type: 'Mnemonic', wordlist: 'ENGLISH', words: 12, redacted: true })
+      mnemonic.dispose()
+      assert.strictEqual(util.inspect(mnemonic), 'Mnemonic <disposed>')
+      assert.strictEqual(mnemonic.toJSON().words, null)
+    })
+
+    it('should render HD keys redacted, also once disposed', () => {
+      const key = Mnemonic.fromString(phrase).toHDPrivateKey()
+      const xprv = key.toString()
+      assert.strictEqual(util.inspect(key), '<HDPrivateKey: redacted, network: livenet>')
+      assert.strictEqual(JSON.stringify(key).indexOf(xprv), -1)
+      assert.strictEqual(util.inspect(key.deriveChild(0)).indexOf('xprv'), -1)
+      key.dispose()
+      assert.strictEqual(util.inspect(key), '<HDPrivateKey: redacted, network: livenet>')
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(key)), { type: 'HDPrivateKey', network: 'livenet', redacted: true })
+    })
+
+    it('should round-trip secret JSON', () => {
+      const mnemonic = Mnemonic.fromRandom(Mnemonic.Words.JAPANESE)
+      const json = mnemonic.toSecretJSON()
+      assert.deepStrictEqual(Object.keys(json), ['format', 'version', 'wordlist', 'phrase', 'standard'])
+      assert.strictEqual(json.version, 1)
+      assert.strictEqual(json.wordlist, 'JAPANESE')
+      assert.strictEqual(Mnemonic.fromJSON(json).phrase, mnemonic.phrase)
+      assert.strictEqual(Mnemonic.fromJSON(JSON.stringify(json)).wordlist, Mnemonic.Words.JAPANESE)
+    })
+
+    it('should round-trip legacy phrases as non-standard', () => {
+      const legacy = Mnemonic.fromString(phrase.replace('about', 'zoo'), Mnemonic.Words.ENGLISH, { allowInvalidChecksum: true })
+      const json = legacy.toSecretJSON()
+      assert.strictEqual(json.standard, false)
+      assert.strictEqual(Mnemonic.fromJSON(json).isStandard, false)
+      assert.throws(() => Mnemonic.fromJSON(Object.assign({}, json, { standard: true })), Mnemonic.errors.ChecksumMismatchError)
+    })
+
+    it('should reject documents it did not write', () => {
+      const json = Mnemonic.fromString(phrase).toSecretJSON()
+      const { InvalidMnemonicError, UnknownWordlistError } = Mnemonic.errors
+      assert.throws(() => Mnemonic.fromJSON('{'), /not valid JSON/)
+      assert.throws(() => Mnemonic.fromJSON(JSON.stringify(Mnemonic.fromString(phrase))), /redacted/)
+      assert.throws(() => Mnemonic.fromJSON({ phrase }), InvalidMnemonicError)
+      assert.throws(() => Mnemonic.fromJSON(Object.assign({}, json, { version: 2 })), /Unsupported mnemonic JSON version: 2/)
+      assert.throws(() => Mnemonic.fromJSON(Object.assign({}, json, { wordlist: 'KLINGON' })), UnknownWordlistError)
+      assert.throws(() => Mnemonic.fromJSON(Object.assign({}, json, { wordlist: 'SPANISH' })), InvalidMnemonicError)
+      assert.throws(() => new Mnemonic(null, Mnemonic.Words.ENGLISH.slice()).toSecretJSON(), UnknownWordlistError)
+    })
+  })
+
+  describe('Test Vectors', () => {
+    for (const language of Object.keys(fixtures)) {
+      const wordlist = Mnemonic.Words[language.toUpperCase()]
+
+      fixtures[language].filter(isStandardVector).forEach(([passphrase, entropy, phrase, seed], i) => {
+        it(`should match ${language} vector ${i}`, () => {
+          const mnemonic = Mnemonic.fromEntropy(Buffer.from(entropy, 'hex'), wordlist)
+          assert.strictEqual(mnemonic.toString().normalize('NFKD'), phrase.normalize('NFKD'))
+          assert.strictEqual(new Mnemonic(phrase).toEntropy().toString('hex'), entropy)
+          assert(Mnemonic.isValid(phrase))
+          assert.strictEqual(new Mnemonic(phrase).wordlist, wordlist)
+          assert.strictEqual(mnemonic.toSeed(passphrase).toString('hex'), seed)
+        })
+
+        it(`should match ${language} vector ${i} asynchronously`, async () => {
+          const mnemonic = new Mnemonic(phrase, wordlist)
+          const result = await mnemonic.toSeedAsync(passphrase)
+          assert.strictEqual(result.toString('hex'), seed)
+        })
+      })
+    }
   })
 })
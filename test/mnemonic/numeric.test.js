@@ -0,0 +1,91 @@
+'use strict'
+
+const assert = require('assert')
+const Mnemonic = require('../../src/mnemonic')
+
+const { ChecksumMismatchError, InvalidMnemonicError, InvalidWordCountError } = Mnemonic.errors
+
+describe('Numeric Backups', () => {
+  const phrase = 'legal winner thank year wave sausage worth useful legal winner thank yellow'
+  const indices = [1019, 2015, 1790, 2039, 1983, 1533, 2031, 1919, 1019, 2015, 1790, 2040]
+  const mnemonic = Mnemonic.fromString(phrase)
+
+  describe('Indexes', () => {
+    it('should round-trip word indexes', () => {
+      assert.deepStrictEqual(mnemonic.toIndices(), indices)
+      assert.strictEqual(Mnemonic.fromIndices(indices).phrase, phrase)
+    })
+
+    it('should keep the wordlist', () => {
+      const japanese = Mnemonic.fromRandom(Mnemonic.Words.JAPANESE)
+      const restored = Mnemonic.fromIndices(japanese.toIndices(), Mnemonic.Words.JAPANESE)
+      assert.strictEqual(restored.phrase, japanese.phrase)
+    })
+
+    it('should reject out-of-range indexes and bad checksums', () => {
+      const replace = (position, value) => indices.map((index, i) => i === position ? value : index)
+      assert.throws(() => Mnemonic.fromIndices(replace(3, 2048)), /Word index 2048 at position 4 is out of range 0-2047/)
+      assert.throws(() => Mnemonic.fromIndices(replace(0, -1)), InvalidMnemonicError)
+      assert.throws(() => Mnemonic.fromIndices(replace(0, 1.5)), InvalidMnemonicError)
+      assert.throws(() => Mnemonic.fromIndices(replace(11, 2041)), ChecksumMismatchError)
+      assert.throws(() => Mnemonic.fromIndices(indices.slice(1)), InvalidWordCountError)
+    })
+  })
+
+  describe('Codes', () => {
+    it('should write zero- and one-based codes', () => {
+      assert.strictEqual(mnemonic.toNumeric(), '1019 2015 1790 2039 1983 1533 2031 1919 1019 2015 1790 2040')
+      assert.strictEqual(mnemonic.toNumeric({ oneBased: true }), '1020 2016 1791 2040 1984 1534 2032 1920 1020 2016 1791 2041')
+      assert.strictEqual(Mnemonic.fromEntropy(Buffer.alloc(16)).toNumeric().slice(0, 10), '0000 0000 ')
+    })
+
+    it('should parse codes in common layouts', () => {
+      const zeroBased = mnemonic.toNumeric()
+      assert.strictEqual(Mnemonic.fromNumeric(zeroBased).phrase, phrase)
+      assert.strictEqual(Mnemonic.fromNumeric(zeroBased.replace(/ /g, '')).phrase, phrase)
+      assert.strictEqual(Mnemonic.fromNumeric(zeroBased.replace(/ /g, ', ')).phrase, phrase)
+      assert.strictEqual(Mnemonic.fromNumeric(mnemonic.toNumeric({ oneBased: true }), { oneBased: true }).phrase, phrase)
+
+      const zeros = '0 0 0 0 0 0 0 0 0 0 0 3'
+      assert.strictEqual(Mnemonic.fromNumeric(zeros).phrase, Mnemonic.fromEntropy(Buffer.alloc(16)).phrase)
+    })
+
+    it('should reject malformed and out-of-range codes', () => {
+      assert.throws(() => Mnemonic.fromNumeric('2048 '.repeat(12)), /Word code 2048 at position 1 is out of range 0-2047/)
+      assert.throws(() => Mnemonic.fromNumeric('0000 '.repeat(12), { oneBased: true }), /out of range 1-2048/)
+      assert.throws(() => Mnemonic.fromNumeric('12a4 '.repeat(12)), /not a number of up to four digits/)
+      assert.throws(() => Mnemonic.fromNumeric('0001 0002'), InvalidWordCountError)
+      // Reading one-based codes as zero-based shifts every word
+      assert.throws(() => Mnemonic.fromNumeric(mnemonic.toNumeric({ oneBased: true })), ChecksumMismatchError)
+    })
+  })
+
+  describe('Binary Grid', () => {
+    it('should write one 11-cell row per word', () => {
+      const grid = mnemonic.toBinaryGrid()
+      assert.strictEqual(grid.length, 12)
+      assert.strictEqual(grid[0], '01111111011')
+      assert.strictEqual(mnemonic.toBinaryGrid({ one: '●', zero: '○' })[0], '○●●●●●●●○●●')
+    })
+
+    it('should parse rows, text and custom symbols', () => {
+      const grid = mnemonic.toBinaryGrid()
+      assert.strictEqual(Mnemonic.fromBinaryGrid(grid).phrase, phrase)
+      assert.strictEqual(Mnemonic.fromBinaryGrid('\n' + grid.join('\r\n') + '\n').phrase, phrase)
+      assert.strictEqual(Mnemonic.fromBinaryGrid(grid.map(row => row.replace(/(...)(....)(....)/, '$1 $2 $3'))).phrase, phrase)
+
+      const symbols = { one: 'x', zero: '.' }
+      assert.strictEqual(Mnemonic.fromBinaryGrid(mnemonic.toBinaryGrid(symbols), symbols).phrase, phrase)
+    })
+
+    it('should reject malformed rows', () => {
+      const grid = mnemonic.toBinaryGrid()
+      assert.throws(() => Mnemonic.fromBinaryGrid(grid.map((row, i) => i === 2 ? row + '0' : row)),
+        /Row 3 has 12 cells, expected 11/)
+      assert.throws(() => Mnemonic.fromBinaryGrid(grid.map((row, i) => i === 0 ? row.replace('0', '2') : row)),
+        /Row 1 has an unknown cell "2"/)
+      assert.throws(() => Mnemonic.fromBinaryGrid(grid.slice(0, 11)), InvalidWordCountError)
+      assert.throws(() => Mnemonic.fromBinaryGrid(grid, { one: 'x', zero: 'x' }), /two different characters/)
+    })
+  })
+})
@@ -0,0 +1,99 @@
+'use strict'
+
+const assert = require('assert')
+const Mnemonic = require('../../src/mnemonic')
+
+const { ChecksumMismatchError, InvalidMnemonicError, UnknownWordlistError } = Mnemonic.errors
+
+describe('Paper Backups', () => {
+  const phrase = 'legal winner thank year wave sausage worth useful legal winner thank yellow'
+  const mnemonic = Mnemonic.fromString(phrase)
+  const cells = html => html.split('\n').filter(line => line.startsWith('<li>'))
+    .map(line => line.replace(/<[^>]+>/g, ''))
+
+  describe('Sheet', () => {
+    it('should number every word in order', () => {
+      const html = mnemonic.toPaperBackup()
+      assert(html.startsWith('<!DOCTYPE html>'))
+      assert.deepStrictEqual(cells(html), phrase.split(' ').map((word, i) => `${i + 1}.${word}`))
+    })
+
+    it('should print the wordlist and master fingerprint', () => {
+      const html = mnemonic.toPaperBackup()
+      const { fingerprint, id } = mnemonic.fingerprint()
+      assert(html.includes('<tr><th>Wordlist</th><td>BIP39 ENGLISH</td></tr>'))
+      assert(html.includes(`<tr><th>Master fingerprint</th><td>${fingerprint.toUpperCase()} (${id})</td></tr>`))
+      assert(html.includes('<tr><th>Passphrase</th><td>None</td></tr>'))
+    })
+
+    it('should print the passphrase fingerprint but not the passphrase', () => {
+      const html = mnemonic.toPaperBackup({ passphrase: 'TREZOR' })
+      assert(html.includes(mnemonic.fingerprint('TREZOR').fingerprint.toUpperCase()))
+      assert(!html.includes('TREZOR'))
+    })
+
+    it('should leave blank verification fields', () => {
+      const html = mnemonic.toPaperBackup()
+      for (const name of Mnemonic.Paper.VERIFICATION_FIELDS) {
+        assert(html.includes(`<tr><th>${name}</th><td></td></tr>`), name)
+      }
+    })
+
+    it('should escape the title and label', () => {
+      const html = mnemonic.toPaperBackup({ title: 'A & B', label: '<script>alert(1)</script>' })
+      assert(html.includes('<h1>A &#38; B</h1>'))
+      assert(!html.includes('<script'))
+    })
+
+    it('should compose words of other wordlists for printing', () => {
+      const japanese = Mnemonic.fromRandom(Mnemonic.Words.JAPANESE)
+      const html = japanese.toPaperBackup()
+      assert.deepStrictEqual(cells(html).map(cell => cell.replace(/^\d+\./, '')),
+        japanese.phrase.split('\u3000').map(word => word.normalize('NFKC')))
+      assert(html.includes('BIP39 JAPANESE'))
+    })
+  })
+
+  describe('Offline Use', () => {
+    it('should reference no external resources', () => {
+      const html = mnemonic.toPaperBackup({ seedQR: true })
+      assert(!/<(script|link|img|iframe|object)\b/i.test(html))
+      assert(!/\b(src|href)=|url\(|@import/i.test(html))
+      // Only the SVG namespace, which is never fetched, looks like a URL
+      assert.deepStrictEqual(html.match(/https?:\/\/[^"\s]*/g), ['http://www.w3.org/2000/svg'])
+      assert(html.includes('Content-Security-Policy" content="default-src \'none\''))
+    })
+  })
+
+  describe('SeedQR', () => {
+    it('should embed the SeedQR on request', () => {
+      const expected = Mnemonic.SeedQR.toQRCode(mnemonic).toSVG({ scale: 4 })
+      assert(!mnemonic.toPaperBackup().includes('<svg'))
+      assert(mnemonic.toPaperBackup({ seedQR: true }).includes(expected))
+
+      const compact = Mnemonic.SeedQR.toQRCode(mnemonic, { compact: true }).toSVG({ scale: 4 })
+      assert(mnemonic.toPaperBackup({ seedQR: 'compact' }).includes(compact))
+    })
+
+    it('should refuse a SeedQR the phrase cannot have', () => {
+      const spanish = Mnemonic.fromEntropy(Buffer.alloc(16), Mnemonic.Words.SPANISH)
+      assert.throws(() => spanish.toPaperBackup({ seedQR: true }), InvalidMnemonicError)
+      assert(spanish.toPaperBackup().includes('BIP39 SPANISH'))
+      assert.throws(() => mnemonic.toPaperBackup({ seedQR: 'yes' }), /seedQR must be/)
+    })
+  })
+
+  describe('Special Phrases', () => {
+    it('should mark legacy phrases and refuse their CompactSeedQR', () => {
+      const legacy = Mnemonic.fromString(phrase.replace(/yellow$/, 'zoo'), Mnemonic.Words.ENGLISH, { allowInvalidChecksum: true })
+      assert(legacy.toPaperBackup().includes('Non-standard legacy phrase'))
+      assert(legacy.toPaperBackup({ seedQR: true }).includes(Mnemonic.SeedQR.toQRCode(legacy).toSVG({ scale: 4 })))
+      assert.throws(() => legacy.toPaperBackup({ seedQR: 'compact' }), ChecksumMismatchError)
+    })
+
+    it('should refuse unnamed wordlists', () => {
+      const custom = new Mnemonic(null, Mnemonic.Words.ENGLISH.slice())
+      assert.throws(() => custom.toPaperBackup(), UnknownWordlistError)
+    })
+  })
+})
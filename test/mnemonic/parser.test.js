@@ -0,0 +1,99 @@
+'use strict'
+
+const assert = require('assert')
+const Mnemonic = require('../../src/mnemonic')
+
+const Parser = Mnemonic.Parser
+
+describe('Lenient Phrase Parsing', () => {
+  const phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+  describe('Prefix Expansion', () => {
+    it('should expand four-letter prefixes', () => {
+      const result = Mnemonic.parse('aban aban aban aban aban aban aban aban aban aban aban abou')
+      assert.strictEqual(result.wordlist, Mnemonic.Words.ENGLISH)
+      assert.strictEqual(result.phrase, phrase)
+      assert(result.complete)
+      assert(result.valid)
+      assert.deepStrictEqual(result.words[11], {
+        position: 11,
+        input: 'abou',
+        status: 'expanded',
+        word: 'about',
+        suggestions: []
+      })
+    })
+
+    it('should keep exact words that prefix other words', () => {
+      assert.strictEqual(Parser.resolve('act', Mnemonic.Words.ENGLISH).status, Parser.STATUS.EXACT)
+    })
+
+    it('should report ambiguous prefixes with their completions', () => {
+      const result = Parser.resolve('ab', Mnemonic.Words.ENGLISH)
+      assert.strictEqual(result.status, 'ambiguous')
+      assert.strictEqual(result.word, null)
+      assert.deepStrictEqual(result.suggestions, ['abandon', 'ability', 'able'])
+    })
+
+    it('should normalize case and whitespace', () => {
+      const result = Mnemonic.parse('  ABANDON\tabandon abandon abandon abandon abandon abandon abandon abandon abandon abandon About ')
+      assert.strictEqual(result.phrase, phrase)
+    })
+  })
+
+  describe('Suggestions', () => {
+    it('should suggest the closest words for typos', () => {
+      const result = Mnemonic.parse('abandon abandno abandon abandon abandon abandon abandon abandon abandon abandon abandon abuot')
+      assert(!result.complete)
+      assert.strictEqual(result.phrase, null)
+      assert(!result.valid)
+      assert.strictEqual(result.words[1].status, 'unknown')
+      assert.strictEqual(result.words[1].suggestions[0], 'abandon')
+      assert.strictEqual(result.words[11].suggestions[0], 'about')
+      assert.deepStrictEqual(result.words.filter(word => word.word === null).map(word => word.position), [1, 11])
+    })
+
+    it('should respect the distance and count limits', () => {
+      assert.deepStrictEqual(Parser.suggest('xyzzyq', Mnemonic.Words.ENGLISH), [])
+      assert.strictEqual(Parser.suggest('wint', Mnemonic.Words.ENGLISH, { maxSuggestions: 5 }).length, 5)
+    })
+
+    it('should compute edit distance with transpositions', () => {
+      assert.strictEqual(Parser._editDistance('about', 'about'), 0)
+      assert.strictEqual(Parser._editDistance('abuot', 'about'), 1)
+      assert.strictEqual(Parser._editDistance('abot', 'about'), 1)
+      assert.strictEqual(Parser._editDistance('kitten', 'sitting'), 3)
+    })
+  })
+
+  describe('Wordlists', () => {
+    it('should pick the wordlist matching most words', () => {
+      const spanish = Mnemonic.fromEntropy(Buffer.alloc(16, 7), Mnemonic.Words.SPANISH)
+      const typed = spanish.phrase.split(' ').map(word => word.slice(0, 5)).join(' ')
+      const result = Mnemonic.parse(typed)
+      assert.strictEqual(result.wordlist, Mnemonic.Words.SPANISH)
+      assert.strictEqual(result.phrase, spanish.phrase)
+    })
+
+    it('should use an explicit wordlist', () => {
+      const result = Mnemonic.parse('aban', { wordlist: Mnemonic.Words.FRENCH })
+      assert.strictEqual(result.wordlist, Mnemonic.Words.FRENCH)
+    })
+  })
+
+  describe('Mnemonic.fromString', () => {
+    it('should expand prefixes when asked to', () => {
+      const typed = 'aban aban aban aban aban aban aban aban aban aban aban abou'
+      assert.throws(() => Mnemonic.fromString(typed), Error)
+      assert.strictEqual(Mnemonic.fromString(typed, undefined, { expandPrefixes: true }).phrase, phrase)
+    })
+
+    it('should name unresolved words', () => {
+      const typed = 'aban aban aban aban aban aban aban aban aban aban aban xyzzy'
+      assert.throws(
+        () => Mnemonic.fromString(typed, Mnemonic.Words.ENGLISH, { expandPrefixes: true }),
+        { name: 'InvalidMnemonicError', message: 'Unresolved words: xyzzy (word 12)' }
+      )
+    })
+  })
+})
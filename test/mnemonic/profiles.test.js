@@ -0,0 +1,93 @@
+'use strict'
+
+const assert = require('assert')
+const Mnemonic = require('../../src/mnemonic')
+const fixtures = require('./data/profiles')
+
+const { InvalidMnemonicError } = Mnemonic.errors
+const Profiles = Mnemonic.Profiles
+
+describe('Wallet Profiles', () => {
+  const addresses = result => result.addresses.map(entry => entry.address)
+
+  describe('Derivation', () => {
+    it('should match the BIP39 fixtures', () => {
+      const { phrase, passphrase, pin } = fixtures.bip39
+      for (const id of Object.keys(fixtures.bip39.addresses)) {
+        const result = Profiles.deriveAddresses(phrase, id, { count: 3, passphrase, pin })
+        assert.deepStrictEqual(addresses(result), fixtures.bip39.addresses[id], id)
+        assert.strictEqual(result.path, Profiles.PROFILES[id].path)
+      }
+    })
+
+    it('should match the Electrum fixtures', () => {
+      const { phrase } = fixtures.electrum
+      const result = Profiles.deriveAddresses(phrase, 'ELECTRUMSV', { count: 3 })
+      assert.deepStrictEqual(addresses(result), fixtures.electrum.addresses.ELECTRUMSV)
+      assert.deepStrictEqual(result.addresses.map(entry => entry.path), ['m/0/0', 'm/0/1', 'm/0/2'])
+    })
+
+    it('should match the published BIP44 vector', () => {
+      const phrase = new Array(11).fill('abandon').concat('about').join(' ')
+      const result = Profiles.deriveAddresses(phrase, 'BIP44_BTC', { count: 1 })
+      assert.deepStrictEqual(result.addresses, [{ path: "m/44'/0'/0'/0/0", address: '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA' }])
+    })
+
+    it('should accept a Mnemonic and derive testnet addresses', () => {
+      const { phrase, passphrase } = fixtures.bip39
+      const mnemonic = Mnemonic.fromString(phrase)
+      const result = Profiles.deriveAddresses(mnemonic, 'BIP44_BSV', { count: 3, passphrase })
+      assert.deepStrictEqual(addresses(result), fixtures.bip39.addresses.BIP44_BSV)
+
+      const testnet = Profiles.deriveAddresses(mnemonic, 'BIP44_BSV', { count: 1, passphrase, network: 'testnet' })
+      assert(/^[mn]/.test(testnet.addresses[0].address))
+    })
+
+    it('should ignore the passphrase for profiles without one', () => {
+      const { phrase } = fixtures.bip39
+      const result = Profiles.deriveAddresses(phrase, 'RELAYX', { count: 3, passphrase: 'TREZOR' })
+      assert.deepStrictEqual(addresses(result), fixtures.bip39.addresses.RELAYX)
+    })
+
+    it('should reject bad arguments', () => {
+      const { phrase } = fixtures.bip39
+      assert.throws(() => Profiles.deriveAddresses(phrase, 'MONEYBUTTON'), /Unknown wallet profile: MONEYBUTTON/)
+      assert.throws(() => Profiles.deriveAddresses(phrase, 'CENTBEE'), /needs the wallet PIN/)
+      assert.throws(() => Profiles.deriveAddresses(phrase, 'CENTBEE', { pin: 4821 }), /needs the wallet PIN/)
+      assert.throws(() => Profiles.deriveAddresses(phrase, 'BIP44_BSV', { count: 0 }), /positive integer/)
+      assert.throws(() => Profiles.deriveAddresses(fixtures.electrum.phrase, 'BIP44_BSV'), InvalidMnemonicError)
+    })
+  })
+
+  describe('Scan', () => {
+    it('should derive every BIP39 profile and skip the rest', () => {
+      const { phrase, passphrase } = fixtures.bip39
+      const results = Profiles.scan(phrase, { count: 3, passphrase })
+      assert.deepStrictEqual(results.map(result => result.id), Object.keys(Profiles.PROFILES))
+
+      const byId = {}
+      results.forEach(result => { byId[result.id] = result })
+      assert.strictEqual(byId.ELECTRUMSV.skipped, 'Not a valid Electrum phrase')
+      assert.strictEqual(byId.CENTBEE.skipped, 'PIN required')
+      assert.deepStrictEqual(addresses(byId.BIP44_BSV), fixtures.bip39.addresses.BIP44_BSV)
+      assert.deepStrictEqual(addresses(byId.RELAYX), fixtures.bip39.addresses.RELAYX)
+    })
+
+    it('should derive only Electrum profiles for an Electrum phrase', () => {
+      const results = Profiles.scan(fixtures.electrum.phrase, { count: 3 })
+      const derived = results.filter(result => !result.skipped)
+      assert.deepStrictEqual(derived.map(result => result.id), ['ELECTRUMSV'])
+      assert.deepStrictEqual(addresses(derived[0]), fixtures.electrum.addresses.ELECTRUMSV)
+      assert(results.filter(result => result.skipped).every(result => result.skipped === 'Not a valid BIP39 phrase'))
+    })
+
+    it('should scan a legacy phrase given as a Mnemonic', () => {
+      const phrase = new Array(11).fill('abandon').concat('zoo').join(' ')
+      const mnemonic = Mnemonic.fromString(phrase, Mnemonic.Words.ENGLISH, { allowInvalidChecksum: true })
+      const results = Profiles.scan(mnemonic, { count: 1, pin: '0000' })
+      assert(results.filter(result => result.scheme === 'bip39').every(result => result.addresses.length === 1))
+      // As a string the phrase fails the checksum and fits no scheme
+      assert(Profiles.scan(phrase).every(result => result.skipped))
+    })
+  })
+})
@@ -0,0 +1,139 @@
+'use strict'
+
+const assert = require('assert')
+const bsv = require('bsv')
+const Mnemonic = require('../../src/mnemonic')
+
+describe('Missing Word Recovery', () => {
+  const phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+  const words = phrase.split(' ')
+
+  describe('Checksum Search', () => {
+    it('should list every candidate for a missing last word', () => {
+      const results = Mnemonic.recover(words.slice(0, 11).join(' ') + ' ?')
+      assert.strictEqual(results.length, 128)
+      assert(results.includes(phrase))
+      assert(results.every(result => Mnemonic.isValid(result)))
+    })
+
+    it('should list every candidate for a missing middle word', () => {
+      const damaged = words.slice()
+      damaged[4] = null
+      const results = Mnemonic.recover(damaged)
+      assert(results.includes(phrase))
+      assert(results.every(result => Mnemonic.isValid(result)))
+
+      const expected = Mnemonic.Words.ENGLISH
+        .map(word => damaged.map(w => w || word).join(' '))
+        .filter(candidate => Mnemonic.isValid(candidate))
+      assert.deepStrictEqual(results, expected)
+    })
+
+    it('should only try the given candidates for unsure words', () => {
+      const damaged = words.slice()
+      damaged[2] = ['abandon', 'ability', 'able']
+      damaged[11] = null
+      const results = Mnemonic.recover(damaged)
+      assert.strictEqual(results.length, 3 * 128)
+      assert(results.includes(phrase))
+    })
+
+    it('should recover two missing words including the last', () => {
+      const damaged = words.slice(0, 11).concat([null])
+      damaged[6] = null
+      const results = Mnemonic.recover(damaged, { limit: 300 })
+      assert.strictEqual(results.length, 300)
+      assert(results.every(result => Mnemonic.isValid(result)))
+    })
+
+    it('should recover Japanese phrases', () => {
+      const mnemonic = Mnemonic.fromEntropy(Buffer.alloc(16, 9), Mnemonic.Words.JAPANESE)
+      const damaged = mnemonic.phrase.split('　')
+      damaged[3] = null
+      const results = Mnemonic.recover(damaged, { wordlist: Mnemonic.Words.JAPANESE })
+      assert(results.includes(mnemonic.phrase))
+    })
+
+    it('should reject invalid input', () => {
+      assert.throws(() => Mnemonic.recover('abandon ? about'), { name: 'InvalidWordCountError' })
+      assert.throws(() => Mnemonic.recover(phrase.replace('about', 'xyzzy')), { name: 'UnknownWordError', index: 11 })
+    })
+  })
+
+  describe('Progress', () => {
+    it('should report progress', () => {
+      const reports = []
+      Mnemonic.recover(words.slice(0, 11).join(' ') + ' ?', {
+        progressInterval: 32,
+        onProgress: progress => reports.push(progress)
+      })
+      assert.deepStrictEqual(reports.map(report => report.checked), [32, 64, 96, 128, 128])
+      assert(reports.every(report => report.total === 128))
+      assert.strictEqual(reports[reports.length - 1].found, 128)
+    })
+
+    it('should stop when onProgress returns false', () => {
+      const reports = []
+      const found = Mnemonic.recover(words.slice(0, 11).join(' ') + ' ?', {
+        progressInterval: 32,
+        onProgress: progress => reports.push(progress) < 2
+      })
+      assert.deepStrictEqual(reports.map(report => report.checked), [32, 64])
+      assert.strictEqual(found.length, 64)
+    })
+
+    it('should reject a non-positive progress interval', () => {
+      for (const progressInterval of [0, -1, 1.5]) {
+        assert.throws(() => Mnemonic.recover(phrase, { progressInterval }), /progressInterval must be a positive integer/)
+      }
+    })
+  })
+
+  describe('Derivation Filters', () => {
+    const mnemonic = Mnemonic.fromString(phrase)
+    const unsure = Mnemonic.Words.ENGLISH.slice(0, 40)
+
+    it('should narrow candidates by address', () => {
+      const address = mnemonic.deriveAddressKey(0).privateKey.toAddress().toString()
+      const damaged = words.slice()
+      damaged[1] = unsure
+      assert(Mnemonic.recover(damaged).length > 1)
+      assert.deepStrictEqual(Mnemonic.recover(damaged, { address }), [phrase])
+    })
+
+    it('should search the given address paths', () => {
+      const address = mnemonic.deriveAddressKey(3, { change: 1 }).privateKey.toAddress().toString()
+      const damaged = words.slice()
+      damaged[1] = unsure
+      assert.deepStrictEqual(Mnemonic.recover(damaged, { address }), [])
+      const paths = [0, 1, 2, 3].map(i => Mnemonic.derivationPath(0, 1, i))
+      assert.deepStrictEqual(Mnemonic.recover(damaged, { address, paths }), [phrase])
+    })
+
+    it('should narrow candidates by account xpub', () => {
+      const xpub = mnemonic.deriveAccountKey(0).hdPublicKey.toString()
+      const damaged = words.slice(0, 11).concat([null])
+      assert.deepStrictEqual(Mnemonic.recover(damaged, { xpub, limit: 1 }), [phrase])
+    })
+
+    it('should derive the same keys as bsv', () => {
+      const seed = mnemonic.toSeed('TREZOR')
+      const master = bsv.HDPrivateKey.fromSeed(seed.toBuffer())
+      const publicKey = key => new bsv.PrivateKey(key.toString('hex')).publicKey.toBuffer()
+      for (const path of ['m', 'm/0', "m/44'/236'/0'/1/5", "m/0/2147483647'/1"]) {
+        const indexes = bsv.HDPrivateKey._getDerivationIndexes(path)
+        const node = Mnemonic.Recovery._deriveKey(Mnemonic.Recovery._masterKey(seed.toBuffer()), indexes, publicKey)
+        const expected = master.deriveChild(path).toObject()
+        assert.deepStrictEqual([node.key.toString('hex'), node.chainCode.toString('hex')],
+          [expected.privateKey, expected.chainCode], path)
+      }
+      seed.dispose()
+    })
+
+    it('should narrow candidates by master xpub and passphrase', () => {
+      const xpub = mnemonic.toHDPublicKey('TREZOR', 'testnet').toString()
+      const damaged = words.slice(0, 11).concat([null])
+      assert.deepStrictEqual(Mnemonic.recover(damaged, { xpub, passphrase: 'TREZOR', limit: 1 }), [phrase])
+    })
+  })
+})
@@ -0,0 +1,97 @@
+'use strict'
+
+const assert = require('assert')
+const Mnemonic = require('../../src/mnemonic')
+
+const { InvalidMnemonicError, InvalidWordCountError, ChecksumMismatchError } = Mnemonic.errors
+
+describe('SeedQR', () => {
+  // Examples from the SeedQR specification
+  const phrase12 = 'forum undo fragile fade shy sign arrest garment culture tube off merit'
+  const digits12 = '073318950739065415961602009907670428187212261116'
+  const compact12 = '5bbd9d71a8ec7990831aff359d426545'
+  const phrase24 = 'attack pizza motion avocado network gather crop fresh patrol unusual wild holiday candy pony ranch ' +
+    'winter theme error hybrid van cereal salon goddess expire'
+  const digits24 = '011513251154012711900771041507421289190620080870026613431420201617920614089619290300152408010643'
+
+  describe('Payloads', () => {
+    it('should encode standard SeedQR digit streams', () => {
+      assert.strictEqual(Mnemonic.fromString(phrase12).toSeedQR(), digits12)
+      assert.strictEqual(Mnemonic.fromString(phrase24).toSeedQR(), digits24)
+    })
+
+    it('should encode CompactSeedQR bytes', () => {
+      assert.strictEqual(Mnemonic.fromString(phrase12).toSeedQR({ compact: true }).toString('hex'), compact12)
+      assert.strictEqual(Mnemonic.fromString(phrase24).toSeedQR({ compact: true }).length, 32)
+    })
+
+    it('should decode both payloads', () => {
+      assert.strictEqual(Mnemonic.fromSeedQR(digits12).phrase, phrase12)
+      assert.strictEqual(Mnemonic.fromSeedQR(digits24).phrase, phrase24)
+      assert.strictEqual(Mnemonic.fromSeedQR(Buffer.from(compact12, 'hex')).phrase, phrase12)
+      assert.strictEqual(Mnemonic.fromSeedQR(new Uint8Array(Buffer.from(compact12, 'hex'))).phrase, phrase12)
+    })
+
+    it('should only accept English 12 and 24 word mnemonics', () => {
+      assert.throws(() => Mnemonic.fromRandom(Mnemonic.Words.SPANISH).toSeedQR(), /requires an English mnemonic/)
+      assert.throws(() => new Mnemonic(160).toSeedQR(), InvalidWordCountError)
+    })
+
+    it('should reject malformed payloads', () => {
+      assert.throws(() => Mnemonic.fromSeedQR(digits12.slice(0, 44)), InvalidWordCountError)
+      assert.throws(() => Mnemonic.fromSeedQR(digits12 + '1'), /four-digit word indexes/)
+      assert.throws(() => Mnemonic.fromSeedQR('2048' + digits12.slice(4)), /out of range: 2048 \(word 1\)/)
+      assert.throws(() => Mnemonic.fromSeedQR('0000' + digits12.slice(4)), ChecksumMismatchError)
+      assert.throws(() => Mnemonic.fromSeedQR(Buffer.alloc(20)), InvalidMnemonicError)
+    })
+
+    it('should carry legacy phrases in standard SeedQR only', () => {
+      const legacy = Mnemonic.fromString(phrase12.replace(/merit$/, 'zoo'), Mnemonic.Words.ENGLISH, { allowInvalidChecksum: true })
+      const digits = legacy.toSeedQR()
+      assert.strictEqual(digits, digits12.slice(0, 44) + '2047')
+      assert.throws(() => legacy.toSeedQR({ compact: true }), ChecksumMismatchError)
+      assert.throws(() => Mnemonic.fromSeedQR(digits), ChecksumMismatchError)
+      const restored = Mnemonic.fromSeedQR(digits, { allowInvalidChecksum: true })
+      assert.strictEqual(restored.phrase, legacy.phrase)
+      assert.strictEqual(restored.isStandard, false)
+    })
+  })
+
+  describe('QR codes', () => {
+    it('should use the sizes of the specification', () => {
+      const sizes = [phrase12, phrase24].map(phrase => {
+        const mnemonic = Mnemonic.fromString(phrase)
+        return [Mnemonic.SeedQR.toQRCode(mnemonic).size, Mnemonic.SeedQR.toQRCode(mnemonic, { compact: true }).size]
+      })
+      assert.deepStrictEqual(sizes, [[25, 21], [29, 25]])
+    })
+
+    it('should render the CompactSeedQR matrix', () => {
+      const qr = Mnemonic.SeedQR.toQRCode(Mnemonic.fromString(phrase12), { compact: true })
+      assert.strictEqual(qr.ecLevel, 'L')
+      assert.deepStrictEqual(qr.modules.map(row => row.map(Number).join('')), [
+        '111111100000101111111',
+        '100000101001101000001',
+        '101110100101101011101',
+        '101110101101101011101',
+        '101110100010001011101',
+        '100000101111101000001',
+        '111111101010101111111',
+        '000000000010000000000',
+        '111110111100110101010',
+        '110111011000100001011',
+        '100111110111100111101',
+        '001110010111101000011',
+        '001110101101000111101',
+        '000000001111100011010',
+        '111111101100011001110',
+        '100000100011100101100',
+        '101110101001110011000',
+        '101110101001001110110',
+        '101110101100101011100',
+        '100000101011011100000',
+        '111111101011011110010'
+      ])
+    })
+  })
+})
@@ -0,0 +1,99 @@
+'use strict'
+
+const assert = require('assert')
+const bsv = require('bsv')
+const Mnemonic = require('../../src/mnemonic')
+const vectors = require('./data/slip39_vectors')
+
+const Slip39 = Mnemonic.Slip39
+
+describe('SLIP-39 Shamir Backups', () => {
+  describe('Test Vectors', () => {
+    vectors.forEach(([description, mnemonics, secret, xprv]) => {
+      it(description, () => {
+        if (!secret) {
+          assert.throws(() => Slip39.combine(mnemonics, 'TREZOR'), { name: 'InvalidShareError' })
+          return
+        }
+        const masterSecret = Slip39.combine(mnemonics, 'TREZOR')
+        assert.strictEqual(masterSecret.toString('hex'), secret)
+        assert.strictEqual(bsv.HDPrivateKey.fromSeed(masterSecret).toString(), xprv)
+      })
+    })
+  })
+
+  describe('Split and Combine', () => {
+    const secret = Buffer.from('bb54aac4b89dc868ba37d9cc21b2cece', 'hex')
+
+    it('should round-trip a single 1-of-1 share', () => {
+      const shares = Slip39.split(secret, { iterationExponent: 0 })
+      assert.strictEqual(shares.length, 1)
+      assert.strictEqual(shares[0].length, 1)
+      assert.strictEqual(shares[0][0].split(' ').length, 20)
+      assert(Slip39.isValidShare(shares[0][0]))
+      assert.strictEqual(Slip39.combine(shares[0]).toString('hex'), secret.toString('hex'))
+    })
+
+    it('should recover from any threshold of groups and members', () => {
+      const shares = Slip39.split(secret, {
+        groupThreshold: 2,
+        groups: [[1, 1], [2, 3], [3, 5]],
+        passphrase: 'TREZOR',
+        iterationExponent: 0
+      })
+      assert.deepStrictEqual(shares.map(group => group.length), [1, 3, 5])
+
+      const combinations = [
+        shares[0].concat(shares[1].slice(1)),
+        shares[1].slice(0, 2).concat(shares[2].slice(2)),
+        shares[2].slice(0, 3).concat(shares[0])
+      ]
+      for (const mnemonics of combinations) {
+        assert.strictEqual(Slip39.combine(mnemonics, 'TREZOR').toString('hex'), secret.toString('hex'))
+      }
+    })
+
+    it('should decrypt to a different secret with the wrong passphrase', () => {
+      const shares = Slip39.split(secret, { passphrase: 'right', iterationExponent: 0 })
+      assert.notStrictEqual(Slip39.combine(shares[0], 'wrong').toString('hex'), secret.toString('hex'))
+    })
+
+    it('should support non-extendable backups', () => {
+      const shares = Slip39.split(secret, { groups: [[2, 2]], extendable: false, iterationExponent: 0 })
+      assert.strictEqual(Slip39.combine(shares[0]).toString('hex'), secret.toString('hex'))
+    })
+
+    it('should reject insufficient shares', () => {
+      const shares = Slip39.split(secret, { groups: [[2, 3]], iterationExponent: 0 })
+      assert.throws(() => Slip39.combine(shares[0].slice(0, 1)), Mnemonic.errors.InvalidShareError)
+      assert.throws(() => Slip39.combine([]), { name: 'InvalidShareError' })
+    })
+
+    it('should validate split parameters', () => {
+      assert.throws(() => Slip39.split(Buffer.alloc(15)), /at least 128 bits/)
+      assert.throws(() => Slip39.split(Buffer.alloc(17)), /even number of bytes/)
+      assert.throws(() => Slip39.split(secret, { groups: [[1, 2]] }), /member threshold 1/)
+      assert.throws(() => Slip39.split(secret, { groupThreshold: 2 }), /Group threshold/)
+      assert.throws(() => Slip39.split(secret, { groups: [[2, 17]] }), /Share count/)
+      assert.throws(() => Slip39.split(secret, { passphrase: 'pässword' }), /printable ASCII/)
+    })
+  })
+
+  describe('Mnemonic Integration', () => {
+    it('should split and restore a mnemonic', () => {
+      for (const length of [16, 20, 24, 28, 32]) {
+        const mnemonic = Mnemonic.fromEntropy(Buffer.alloc(length, 0x3c))
+        const shares = mnemonic.toSlip39Shares({ groups: [[2, 3]], passphrase: 'TREZOR', iterationExponent: 0 })
+        const restored = Mnemonic.fromSlip39Shares(shares[0].slice(1), 'TREZOR')
+        assert.strictEqual(restored.phrase, mnemonic.phrase)
+      }
+    })
+
+    it('should restore into the requested wordlist', () => {
+      const mnemonic = Mnemonic.fromEntropy(Buffer.alloc(16, 1), Mnemonic.Words.ITALIAN)
+      const shares = mnemonic.toSlip39Shares({ iterationExponent: 0 })
+      const restored = Mnemonic.fromSlip39Shares(shares[0], '', Mnemonic.Words.ITALIAN)
+      assert.strictEqual(restored.phrase, mnemonic.phrase)
+    })
+  })
+})
@@ -0,0 +1,98 @@
+'use strict'
+
+const assert = require('assert')
+const Mnemonic = require('../../src/mnemonic')
+
+const {
+  MnemonicError,
+  InvalidMnemonicError,
+  InvalidWordCountError,
+  UnknownWordError,
+  WrongWordlistError,
+  ChecksumMismatchError,
+  UnknownWordlistError,
+  AmbiguousWordlistError
+} = Mnemonic.errors
+
+describe('Mnemonic Validation Report', () => {
+  const phrase = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+  describe('Mnemonic.validate', () => {
+    it('should report a valid phrase', () => {
+      const report = Mnemonic.validate(phrase)
+      assert(report.valid)
+      assert.strictEqual(report.wordlist, Mnemonic.Words.ENGLISH)
+      assert.strictEqual(report.words.length, 12)
+      assert.deepStrictEqual(report.findings, [])
+    })
+
+    it('should report unknown words with their indexes and suggestions', () => {
+      const report = Mnemonic.validate(phrase.replace('about', 'abuot').replace('abandon', 'abandn'))
+      assert(!report.valid)
+      assert.strictEqual(report.wordlist, Mnemonic.Words.ENGLISH)
+      assert.deepStrictEqual(report.findings.map(finding => finding.index), [0, 11])
+      assert(report.findings.every(finding => finding instanceof UnknownWordError))
+      assert.strictEqual(report.findings[0].word, 'abandn')
+      assert.strictEqual(report.findings[0].suggestions[0], 'abandon')
+      assert.strictEqual(report.findings[1].suggestions[0], 'about')
+    })
+
+    it('should report a bad word count', () => {
+      const report = Mnemonic.validate('abandon abandon abandon')
+      assert.strictEqual(report.findings.length, 1)
+      assert(report.findings[0] instanceof InvalidWordCountError)
+      assert.strictEqual(report.findings[0].wordCount, 3)
+      assert.deepStrictEqual(report.findings[0].expected, [12, 15, 18, 21, 24])
+    })
+
+    it('should report a checksum mismatch', () => {
+      const report = Mnemonic.validate(phrase.replace('about', 'zoo'))
+      assert.strictEqual(report.findings.length, 1)
+      assert(report.findings[0] instanceof ChecksumMismatchError)
+    })
+
+    it('should report a phrase from another wordlist', () => {
+      const report = Mnemonic.validate(phrase, { wordlist: Mnemonic.Words.SPANISH })
+      assert.strictEqual(report.findings.length, 1)
+      assert(report.findings[0] instanceof WrongWordlistError)
+      assert.strictEqual(report.findings[0].detected, 'ENGLISH')
+    })
+
+    it('should report unknown and ambiguous wordlists', () => {
+      assert(Mnemonic.validate('xyzzy plugh').findings[0] instanceof UnknownWordlistError)
+      const ambiguous = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon amateur double'
+      assert(Mnemonic.validate(ambiguous).findings[0] instanceof AmbiguousWordlistError)
+    })
+
+    it('should skip suggestions when asked', () => {
+      const report = Mnemonic.validate(phrase.replace('about', 'abuot'), { suggestions: false })
+      assert.deepStrictEqual(report.findings[0].suggestions, [])
+    })
+
+    it('should keep every finding a MnemonicError', () => {
+      const report = Mnemonic.validate('abandon xyzzy')
+      assert(report.findings.length > 1)
+      assert(report.findings.every(finding => finding instanceof MnemonicError))
+    })
+  })
+
+  describe('Constructor Errors', () => {
+    it('should throw the specific error', () => {
+      assert.throws(() => new Mnemonic(phrase.replace('about', 'zoo')), ChecksumMismatchError)
+      assert.throws(() => new Mnemonic('abandon abandon abandon'), InvalidWordCountError)
+      assert.throws(() => new Mnemonic(phrase.replace('about', 'abuot')), { name: 'UnknownWordError', index: 11 })
+      assert.throws(() => new Mnemonic(phrase, Mnemonic.Words.ITALIAN), WrongWordlistError)
+      assert.throws(() => new Mnemonic('xyzzy plugh'), UnknownWordlistError)
+    })
+
+    it('should keep phrase errors InvalidMnemonicErrors', () => {
+      assert.throws(() => Mnemonic.fromString(phrase.replace('about', 'zoo')), InvalidMnemonicError)
+      assert.throws(() => Mnemonic.fromString('abandon abandon abandon'), InvalidMnemonicError)
+    })
+
+    it('should keep isValid in line with word count rules', () => {
+      // Its one checksum bit matches, but BIP39 phrases have 12 to 24 words
+      assert(!Mnemonic.isValid('abandon abandon ability'))
+    })
+  })
+})
@@ -0,0 +1,142 @@
+'use strict'
+
+const assert = require('assert')
+const Mnemonic = require('../../src/mnemonic')
+
+const { InvalidWordlistError, MnemonicError } = Mnemonic.errors
+
+describe('Custom Wordlists', () => {
+  // Synthetic words that appear in no shipped list
+  const makeList = prefix => Array.from({ length: 2048 }, (_, i) => `${prefix}${i.toString(36).padStart(3, '0')}`)
+
+  // Mnemonic.Words is shared by every test file; drop the lists registered here
+  const shipped = Object.keys(Mnemonic.Words)
+  afterEach(() => {
+    for (const name of Object.keys(Mnemonic.Words)) {
+      if (shipped.indexOf(name) < 0) delete Mnemonic.Words[name]
+    }
+  })
+
+  describe('Mnemonic.registerWordlist', () => {
+    it('should register a frozen list used for detection', () => {
+      const list = Mnemonic.registerWordlist('TEST_SYNTHETIC', makeList('qz'))
+      assert.strictEqual(Mnemonic.Words.TEST_SYNTHETIC, list)
+      assert(Object.isFrozen(list))
+
+      const phrase = Mnemonic.fromEntropy(Buffer.alloc(16, 7), list).phrase
+      const mnemonic = new Mnemonic(phrase)
+      assert.strictEqual(mnemonic.wordlist, list)
+      assert(Mnemonic.isValid(phrase))
+      assert.strictEqual(mnemonic.toEntropy().toString('hex'), '07'.repeat(16))
+    })
+
+    it('should normalize words to NFKD', () => {
+      const list = makeList('café')
+      list[0] = 'café'
+      const registered = Mnemonic.registerWordlist('TEST_NFKD', list)
+      assert.strictEqual(registered[0], 'café')
+      assert.notStrictEqual(registered, list)
+    })
+
+    it('should refuse taken or malformed names', () => {
+      assert.throws(() => Mnemonic.registerWordlist('ENGLISH', makeList('qy')), /already registered/)
+      assert.throws(() => Mnemonic.registerWordlist('lower', makeList('qy')), /upper case identifier/)
+      assert.strictEqual(Mnemonic.Words.lower, undefined)
+    })
+  })
+
+  describe('Mnemonic.validateWordlist', () => {
+    it('should accept the shipped lists', () => {
+      assert.deepStrictEqual(Mnemonic.validateWordlist(Mnemonic.Words.ENGLISH, { uniquePrefixes: true }), Mnemonic.Words.ENGLISH)
+      assert.doesNotThrow(() => Mnemonic.validateWordlist(Mnemonic.Words.JAPANESE))
+    })
+
+    it('should require 2048 words', () => {
+      assert.throws(() => Mnemonic.validateWordlist(makeList('qx').slice(1)), /2048 words, got 2047/)
+      assert.throws(() => Mnemonic.validateWordlist('abandon'), InvalidWordlistError)
+    })
+
+    it('should report duplicates after normalization', () => {
+      const list = makeList('qx')
+      list[1] = 'café'
+      list[2] = 'café'
+      let error
+      try {
+        Mnemonic.validateWordlist(list)
+      } catch (e) {
+        error = e
+      }
+      assert(error instanceof InvalidWordlistError)
+      assert(error instanceof MnemonicError)
+      assert.deepStrictEqual(error.words, ['café'])
+    })
+
+    it('should reject empty words and words with spaces', () => {
+      const list = makeList('qx')
+      list[5] = 'two words'
+      assert.throws(() => Mnemonic.validateWordlist(list), /without whitespace/)
+    })
+
+    it('should check 4-character prefixes on request', () => {
+      const list = makeList('qxxx')
+      assert.doesNotThrow(() => Mnemonic.validateWordlist(list))
+      assert.throws(() => Mnemonic.validateWordlist(list, { uniquePrefixes: true }), /share 4-character prefixes: qxxx/)
+      assert.throws(() => Mnemonic.validateWordlist(Mnemonic.Words.FRENCH, { uniquePrefixes: true }), InvalidWordlistError)
+    })
+  })
+
+  describe('Fingerprints', () => {
+    const wordsPath = require.resolve('../../src/mnemonic/words')
+    const englishPath = require.resolve('../../src/mnemonic/words/english')
+
+    it('should expose the fingerprint of each list', () => {
+      assert.strictEqual(Mnemonic.wordlistFingerprint('ENGLISH'),
+        '2f5eed53a4727b4bf8880d8f3f199efc90e58503646d9ff8eff3a2ed3b24dbda')
+      for (const name of Object.keys(Mnemonic.WORDLIST_FINGERPRINTS)) {
+        assert.strictEqual(Mnemonic.wordlistFingerprint(name), Mnemonic.WORDLIST_FINGERPRINTS[name])
+      }
+    })
+
+    it('should fingerprint through Mnemonic.Words', () => {
+      assert.strictEqual(typeof Mnemonic.Words.fingerprint, 'function')
+      assert.strictEqual(Object.keys(Mnemonic.Words).indexOf('fingerprint'), -1)
+      for (const name of Object.keys(Mnemonic.Words)) {
+        assert.strictEqual(Mnemonic.Words.fingerprint(name), Mnemonic.wordlistFingerprint(name))
+      }
+      Mnemonic.registerWordlist('TEST_FINGERPRINT', makeList('qf'))
+      assert.match(Mnemonic.Words.fingerprint('TEST_FINGERPRINT'), /^[0-9a-f]{64}$/)
+      assert.throws(() => Mnemonic.Words.fingerprint('fingerprint'), Mnemonic.errors.UnknownWordlistError)
+    })
+
+    it('should fingerprint registered lists and reject unknown names', () => {
+      Mnemonic.registerWordlist('TEST_FINGERPRINT', makeList('qf'))
+      assert.match(Mnemonic.wordlistFingerprint('TEST_FINGERPRINT'), /^[0-9a-f]{64}$/)
+      assert.throws(() => Mnemonic.wordlistFingerprint('KLINGON'), Mnemonic.errors.UnknownWordlistError)
+      assert.throws(() => Mnemonic.wordlistFingerprint('toString'), Mnemonic.errors.UnknownWordlistError)
+    })
+
+    it('should keep every name free for registration', () => {
+      assert(Object.keys(Mnemonic.Words).every(name => Array.isArray(Mnemonic.Words[name])))
+      const list = Mnemonic.registerWordlist('FINGERPRINTS', makeList('qp'))
+      assert.strictEqual(Mnemonic.Words.FINGERPRINTS, list)
+      assert.match(Mnemonic.wordlistFingerprint('FINGERPRINTS'), /^[0-9a-f]{64}$/)
+    })
+
+    it('should refuse to load a tampered list', () => {
+      const words = require.cache[wordsPath]
+      const english = require.cache[englishPath]
+      const original = english.exports
+      try {
+        const tampered = original.slice()
+        tampered[0] = 'abandoned'
+        english.exports = Object.freeze(tampered)
+        delete require.cache[wordsPath]
+        assert.throws(() => require(wordsPath), /ENGLISH does not match its pinned fingerprint/)
+      } finally {
+        english.exports = original
+        require.cache[wordsPath] = words
+      }
+      assert.strictEqual(require(wordsPath), Mnemonic.Words)
+    })
+  })
+})
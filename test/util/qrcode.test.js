@@ -0,0 +1,68 @@
+'use strict'
+
+const assert = require('assert')
+const QRCode = require('../../src/util/qrcode')
+
+describe('QR Code Encoder', () => {
+  // Format information read back from the copy around the top-left finder
+  const readFormat = qr => {
+    const cells = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]]
+    const bits = cells.reduce((value, [x, y], i) => value | (qr.modules[y][x] ? 1 << i : 0), 0) ^ 0x5412
+    return { ecLevel: ['M', 'L', 'H', 'Q'][bits >>> 13], mask: (bits >>> 10) & 7 }
+  }
+
+  describe('Encoding', () => {
+    it('should pick the smallest version for the data', () => {
+      assert.strictEqual(QRCode.encode('1'.repeat(41)).version, 1)
+      assert.strictEqual(QRCode.encode('1'.repeat(42)).version, 2)
+      assert.strictEqual(QRCode.encode(Buffer.alloc(17)).version, 1)
+      assert.strictEqual(QRCode.encode(Buffer.alloc(18)).version, 2)
+      assert.strictEqual(QRCode.encode(Buffer.alloc(17), { ecLevel: 'H' }).version, 3)
+      assert.strictEqual(QRCode.encode('hi', { minVersion: 7 }).size, 45)
+    })
+
+    it('should draw finder patterns and format information', () => {
+      const qr = QRCode.encode('SeedQR', { ecLevel: 'Q', mask: 5 })
+      const finder = ['1111111', '1000001', '1011101', '1011101', '1011101', '1000001', '1111111']
+      assert.deepStrictEqual(qr.modules.slice(0, 7).map(row => row.slice(0, 7).map(Number).join('')), finder)
+      assert.deepStrictEqual(qr.modules.slice(0, 7).map(row => row.slice(-7).map(Number).join('')), finder)
+      assert.deepStrictEqual(readFormat(qr), { ecLevel: 'Q', mask: 5 })
+      assert.strictEqual(qr.modules[qr.size - 8][8], true)
+    })
+
+    it('should choose a mask by penalty when none is given', () => {
+      const qr = QRCode.encode('0123456789')
+      assert(qr.mask >= 0 && qr.mask <= 7)
+      assert.strictEqual(readFormat(qr).mask, qr.mask)
+    })
+
+    it('should reject invalid options and oversized data', () => {
+      assert.throws(() => QRCode.encode('1', { ecLevel: 'X' }), /error correction level/)
+      assert.throws(() => QRCode.encode('1', { mask: 8 }), /Invalid mask/)
+      assert.throws(() => QRCode.encode(Buffer.alloc(3000)), /Data too long/)
+      assert.throws(() => QRCode.encode(42), /string or a Buffer/)
+    })
+  })
+
+  describe('Rendering', () => {
+    const qr = QRCode.encode('1234')
+
+    it('should render SVG without external resources', () => {
+      const svg = qr.toSVG({ scale: 2, margin: 4 })
+      assert(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'))
+      assert(svg.includes('width="58" height="58" viewBox="0 0 29 29"'))
+      assert.strictEqual(/href|url\(/.test(svg), false)
+      const modules = qr.modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0)
+      assert.strictEqual(svg.split('h1v1h-1z').length - 1, modules)
+    })
+
+    it('should render terminal text two rows per line', () => {
+      const lines = qr.toText().split('\n')
+      assert.strictEqual(lines.length, 13)
+      assert(lines.every(line => line.length === 25))
+      assert.strictEqual(lines[0], ' '.repeat(25))
+      assert.strictEqual(lines[1].slice(2, 9), '█▀▀▀▀▀█')
+      assert.strictEqual(qr.toText({ invert: true }).split('\n')[0], '█'.repeat(25))
+    })
+  })
+})